@@ -1,24 +1,173 @@
-import React, { useState, useCallback } from "react";
-import axios from "axios";
-import MapComponent from "./mapComponent"; // Assuming MapComponent.jsx is in the same folder
+import React, { useState, useCallback, useRef, useEffect } from "react";
+import MapComponent from "./MapComponent"; // Assuming MapComponent.jsx is in the same folder
 import "./App.css"; // Or your main CSS file
 import RouteSummaryCard from "./RouteSummary"; // Import the new component
+import RouteLibraryPanel from "./RouteLibraryPanel";
+import AvoidPanel from "./AvoidPanel";
+import PlaceSearch from "./PlaceSearch";
+import { reverseGeocode } from "./geocoding";
+import { fetchPoisAlongRoute, DEFAULT_POI_BUFFER } from "./pois";
+import { DEFAULT_DIFFICULTY_THRESHOLD } from "./routeExtras";
+import { parseRouteFile, IMPORT_ACCEPT } from "./routeImport";
+import { computeTrackStats } from "./geoUtils";
+import {
+  encodePlanningState,
+  decodePlanningState,
+  writePlanningStateToUrl,
+} from "./urlState";
+import {
+  ROUTING_PROVIDERS,
+  DEFAULT_ROUTING_PROVIDER,
+  PROFILES,
+  getRoutingProvider,
+  getRoutingErrorMessage,
+  toRouteGeojson,
+  toRouteSummary,
+} from "./routing";
+import { fetchIsochrones } from "./routing/ors";
+import { buildAvoidRequest, getDefaultAvoidOptions } from "./routing/avoid";
+import {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  fromDistanceUnit,
+  toDistanceUnit,
+} from "./formatters";
+import { LANGUAGES, setLanguage, t, useLanguage } from "./i18n";
 
-// Load ORS API Key from environment
-const ORS_API_KEY = import.meta.env.VITE_ORS_API_KEY;
-const ORS_DIRECTIONS_URL = "https://api.openrouteservice.org/v2/directions";
+// Remember the chosen routing engine and unit system between sessions
+const ROUTING_PROVIDER_STORAGE_KEY = "hiker.routingProvider";
+const UNIT_SYSTEM_STORAGE_KEY = "hiker.units";
+const AVOID_OPTIONS_STORAGE_KEY = "hiker.avoidOptions";
+
+// Readable name of a planning point, falling back to its coordinates
+const describePoint = (point) =>
+  point.name || `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`;
+
+// Next full hour as a <input type="datetime-local"> value (local time)
+const getDefaultDepartureTime = () => {
+  const date = new Date();
+  date.setMinutes(60, 0, 0);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Rough average speeds (km/h) to turn a loop's target duration into a length
+const LOOP_SPEEDS = {
+  "driving-car": 60,
+  "cycling-road": 20,
+  "cycling-mountain": 12,
+  "foot-hiking": 4,
+};
+
+// Loop target as the planner shows it (km/mi or h) from the URL's meters or hours
+const toLoopTargetInput = ({ targetType, target }, units) =>
+  targetType === "duration"
+    ? target
+    : Math.round(toDistanceUnit(target, units) * 10) / 10;
 
 function App() {
+  // Re-render the whole UI when the language changes
+  const language = useLanguage();
+
+  // Planning state shared through the URL, read once on startup
+  const [initialUrlState] = useState(() =>
+    decodePlanningState(window.location.search)
+  );
+
   // State for routing
-  const [startPoint, setStartPoint] = useState(null); // { lng, lat }
-  const [endPoint, setEndPoint] = useState(null); // { lng, lat }
-  const [profile, setProfile] = useState("driving-car"); // Default profile
+  const [startPoint, setStartPoint] = useState(initialUrlState.start); // { lng, lat }
+  const [endPoint, setEndPoint] = useState(initialUrlState.end); // { lng, lat }
+  const [viaPoints, setViaPoints] = useState(initialUrlState.via); // [{ lng, lat }, ...] in route order
+  const [avoidAreas, setAvoidAreas] = useState(initialUrlState.avoidAreas); // Polygons to route around: [[[lng, lat], ...], ...]
+  const [avoidDraft, setAvoidDraft] = useState([]); // Corners of the area being drawn
+  const [profile, setProfile] = useState(initialUrlState.profile); // Default profile unless the URL names one
+  const [routingProviderId, setRoutingProviderId] = useState(
+    () =>
+      localStorage.getItem(ROUTING_PROVIDER_STORAGE_KEY) ||
+      DEFAULT_ROUTING_PROVIDER
+  ); // Key into ROUTING_PROVIDERS
+  const [units, setUnits] = useState(() => {
+    const stored = localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY);
+    return UNIT_SYSTEMS[stored] ? stored : DEFAULT_UNIT_SYSTEM;
+  }); // Key into UNIT_SYSTEMS, used for display and typed distances
+  const [avoidOptionsByProfile, setAvoidOptionsByProfile] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(AVOID_OPTIONS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }); // { [profile]: { features, maxSteepness } }, defaults until changed
   const [routeGeojson, setRouteGeojson] = useState(null); // GeoJSON data for the route
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showInputs, setShowInputs] = useState(false); // Toggle visibility of controls
   const [routeSummary, setRouteSummary] = useState(null); // <<< New state for summary data
-  const [settingPointMode, setSettingPointMode] = useState(null); // 'start' or 'end'
+  const [settingPointMode, setSettingPointMode] = useState(null); // 'start', 'end', 'via', 'isochrone' or 'avoid'
+  const [isDraggingFile, setIsDraggingFile] = useState(false); // File held over the window
+  const importInputRef = useRef(null); // Hidden <input type="file"> for track import
+  const [showLibrary, setShowLibrary] = useState(false); // Saved routes panel
+  const [fitToRoute, setFitToRoute] = useState(true); // Zoom the map to each new route
+  const [viewRequest, setViewRequest] = useState(null); // { lng, lat, zoom } to jump the map to
+  const viewRef = useRef(initialUrlState.view); // Latest map view, kept out of state
+  const [hoverIndex, setHoverIndex] = useState(null); // Route coordinate hovered on chart or map
+  const [requestAlternatives, setRequestAlternatives] = useState(false); // Ask for alternative routes
+  const [routeAlternatives, setRouteAlternatives] = useState([]); // Normalized routes, when more than one came back
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0); // Which of routeAlternatives is shown
+  const [isLoop, setIsLoop] = useState(Boolean(initialUrlState.loop)); // Round trip from the start point, no end point
+  const [loopTargetType, setLoopTargetType] = useState(
+    initialUrlState.loop?.targetType || "distance"
+  ); // 'distance' (km or mi) or 'duration' (h)
+  const [loopTarget, setLoopTarget] = useState(() =>
+    initialUrlState.loop ? toLoopTargetInput(initialUrlState.loop, units) : 10
+  );
+  const [loopSeed, setLoopSeed] = useState(initialUrlState.loop?.seed || 1); // Picks one of the possible loops
+  const [isochroneRangeType, setIsochroneRangeType] = useState("time"); // 'time' (minutes) or 'distance' (km or mi)
+  const [isochroneRanges, setIsochroneRanges] = useState("30, 60, 120"); // Comma separated, as typed
+  const [isochronesGeojson, setIsochronesGeojson] = useState(null); // Reachability polygons
+  const [showIsochrones, setShowIsochrones] = useState(true);
+  const [pois, setPois] = useState(null); // Points of interest near the route, once searched
+  const [poiBuffer, setPoiBuffer] = useState(DEFAULT_POI_BUFFER); // Corridor half-width in meters
+  const [hiddenPoiCategories, setHiddenPoiCategories] = useState([]);
+  const [difficultyThreshold, setDifficultyThreshold] = useState(
+    DEFAULT_DIFFICULTY_THRESHOLD
+  ); // Trail grade from which hotspots are marked, null for none
+  const [isLoadingPois, setIsLoadingPois] = useState(false);
+  const [poiError, setPoiError] = useState(null);
+  const [departureTime, setDepartureTime] = useState(getDefaultDepartureTime); // "YYYY-MM-DDTHH:mm", local
+  const [routeHighlight, setRouteHighlight] = useState(null); // { id, ranges: [[from, to], ...] } stretches to emphasize
+
+  // Hovered indices, highlighted ranges and POIs are meaningless on a different route
+  useEffect(() => {
+    setHoverIndex(null);
+    setRouteHighlight(null);
+    setPois(null);
+    setPoiError(null);
+  }, [routeGeojson]);
+
+  // Leaving the drawing mode any other way drops the unfinished area
+  useEffect(() => {
+    if (settingPointMode !== "avoid") setAvoidDraft([]);
+  }, [settingPointMode]);
+
+  // --- Point Names (reverse geocoding) ---
+  // Looks up a readable name for a point that was just placed and attaches it
+  // as `name`, unless the point has moved again in the meantime
+  const labelPoint = useCallback(async (kind, coords) => {
+    let name;
+    try {
+      name = await reverseGeocode(coords);
+    } catch (err) {
+      console.warn("Reverse geocoding failed:", err);
+      return;
+    }
+    if (!name) return;
+    const samePoint = (point) =>
+      point && point.lng === coords.lng && point.lat === coords.lat;
+    const withName = (point) => (samePoint(point) ? { ...point, name } : point);
+    if (kind === "start") setStartPoint(withName);
+    else if (kind === "end") setEndPoint(withName);
+    else if (kind === "via") setViaPoints((prev) => prev.map(withName));
+  }, []);
 
   // --- Map Click Handler ---
   // useCallback ensures this function reference doesn't change on every render
@@ -33,27 +182,117 @@ function App() {
 
       if (settingPointMode === "start") {
         setStartPoint(coords);
-        setSettingPointMode("end"); // Automatically switch to setting the end point next
+        labelPoint("start", coords);
+        setSettingPointMode(isLoop ? null : "end"); // Automatically switch to setting the end point next
         console.log("Start point set:", coords);
       } else if (settingPointMode === "end") {
         setEndPoint(coords);
+        labelPoint("end", coords);
         setSettingPointMode(null); // Stop setting points after end point is set
         console.log("End point set:", coords);
+      } else if (settingPointMode === "isochrone") {
+        setSettingPointMode(null);
+        fetchIsochronesRef.current(coords);
+      } else if (settingPointMode === "via") {
+        // Stay in via mode so several via points can be added in a row
+        setViaPoints((prev) => [...prev, coords]);
+        labelPoint("via", coords);
+        console.log("Via point added:", coords);
+      } else if (settingPointMode === "avoid") {
+        setAvoidDraft((prev) => [...prev, [coords.lng, coords.lat]]);
       }
     },
-    [showInputs, settingPointMode]
+    [showInputs, settingPointMode, isLoop, labelPoint]
   ); // Recreate callback if showInputs or mode changes
 
-  // --- Function to Fetch Route from ORS ---
-  const fetchRoute = async () => {
-    if (!startPoint || !endPoint) {
-      setError("Please set both a start and an end point on the map.");
+  // --- Isochrones (reachability from a clicked point) ---
+  const fetchIsochronesAt = async (coords) => {
+    const ranges = isochroneRanges
+      .split(",")
+      .map((value) => parseFloat(value))
+      .filter((value) => value > 0)
+      .sort((a, b) => a - b)
+      .map((value) =>
+        isochroneRangeType === "time"
+          ? value * 60
+          : fromDistanceUnit(value, units)
+      ); // ORS wants seconds or meters
+    if (ranges.length === 0) {
+      setError(t("error.noRanges"));
       return;
     }
-    if (!ORS_API_KEY) {
-      setError(
-        "OpenRouteService API Key is missing. Check environment variables."
-      );
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      console.log(`Fetching isochrones for ${profile} at`, coords, ranges);
+      const geojson = await fetchIsochrones({
+        profile,
+        location: [coords.lng, coords.lat],
+        rangeType: isochroneRangeType,
+        ranges,
+      });
+      setIsochronesGeojson(geojson);
+      setShowIsochrones(true);
+    } catch (err) {
+      console.error("Error fetching isochrones:", err);
+      setError(getRoutingErrorMessage(err, "isochrones"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // handleMapClick is memoized, so it reaches the latest version through a ref
+  const fetchIsochronesRef = useRef(fetchIsochronesAt);
+  useEffect(() => {
+    fetchIsochronesRef.current = fetchIsochronesAt;
+  });
+
+  // --- Via Point Helpers ---
+  // Move a via point one position up (-1) or down (+1) in the route order
+  const moveViaPoint = (index, direction) => {
+    setViaPoints((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeViaPoint = (index) => {
+    setViaPoints((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // --- Function to Fetch Route from the selected routing provider ---
+  // Points can be passed explicitly when rerouting right after a state update
+  // (e.g. a marker drop), since the state values here would still be stale.
+  // preserveView keeps the current map view instead of zooming to the route,
+  // used when restoring a shared link that carries its own view.
+  // In loop mode (`loop` set) only the start point is used, together with the
+  // loop target.
+  const fetchRoute = async ({
+    start = startPoint,
+    end = endPoint,
+    via = viaPoints,
+    routeProfile = profile,
+    areas = avoidAreas,
+    preserveView = false,
+    loop = currentLoop,
+    seed = loop?.seed,
+  } = {}) => {
+    if (loop ? !start : !start || !end) {
+      setError(loop ? t("error.needStart") : t("error.needStartAndEnd"));
+      return;
+    }
+    const provider = getRoutingProvider(routingProviderId);
+    const configError = provider.getConfigError();
+    if (configError) {
+      setError(configError);
+      return;
+    }
+    if (loop && !provider.fetchRoundTrip) {
+      setError(t("error.noLoops", { engine: provider.label }));
       return;
     }
 
@@ -61,94 +300,57 @@ function App() {
     setError(null);
     setRouteGeojson(null); // Clear previous route
     setRouteSummary(null); // Clear previous summary
-
-    // ORS expects coordinates in [longitude, latitude] format
-    const coordinates = [
-      [startPoint.lng, startPoint.lat],
-      [endPoint.lng, endPoint.lat],
-    ];
-
-    // --- Body for ORS request ---
-    const requestBody = {
-      coordinates: coordinates,
-      // Request elevation and extra info
-      elevation: "true", // Request elevation profile data
-      extra_info: ["steepness", "surface", "waytype", "traildifficulty"], // Request details
-      units: "m", // Use metric units (meters)
-      // You might want instructions_format: "text" or "html" if displaying turn-by-turn
-      // geometry_simplify: "true", // Optional: simplify geometry for performance
-      // preference: "recommended", // or "shortest" etc. depending on profile
-    };
+    setRouteAlternatives([]);
 
     try {
-      console.log(`Fetching route for profile: ${profile}`, coordinates);
-      const response = await axios.post(
-        `${ORS_DIRECTIONS_URL}/${profile}/geojson`,
-        requestBody,
-        {
-          headers: {
-            Authorization: ORS_API_KEY,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-      console.log("ORS Response:", response.data);
-      if (
-        response.data &&
-        response.data.features &&
-        response.data.features.length > 0
-      ) {
-        const feature = response.data.features[0];
-        setRouteGeojson(response.data); // Store the entire GeoJSON
-
-        // --- Extract summary data ---
-        if (feature.properties) {
-          const properties = feature.properties;
-          const summary = properties.summary; // { distance, duration, ascent, descent }
-          const extras = properties.extras; // { surface: { values, summary }, waytype: {...}, ... }
-          const segments = properties.segments; // Array of segments, might contain steps
-          const ascent = properties.ascent || 0; // Total ascent in meters
-          const descent = properties.descent || 0; // Total descent in meters
-
-          // Basic structure for summary state
-          const extractedSummary = {
-            distance: summary?.distance, // in meters
-            duration: summary?.duration, // in seconds
-            ascent: ascent, // in meters
-            descent: descent, // in meters
-            surface: extras?.surface?.summary, // Array: [{ value: 'paved', distance: 123, amount: '20.5%'}, ...]
-            waytype: extras?.waytypes?.summary,
-            traildifficulty: extras?.traildifficulty?.summary,
-            // You could also extract bounding box, segments etc. if needed
-            // For elevation profile, you'd use feature.geometry.coordinates which now include elevation if elevation=true
-            // Example: coordinate [lng, lat, elevation]
-            coordinates: feature.geometry?.coordinates || [],
-          };
-          console.log("Extracted Summary:", extractedSummary);
-          setRouteSummary(extractedSummary);
-        } else {
-          setError("Route found, but properties data is missing.");
-          setRouteSummary(null);
-        }
+      const avoid = buildAvoidRequest({
+        profile: routeProfile,
+        options: getAvoidOptions(routeProfile),
+        areas,
+      });
+      let routes;
+      if (loop) {
+        const length = getLoopLength(loop, routeProfile);
+        console.log(
+          `Fetching ${length} m loop from ${provider.label} for profile: ${routeProfile}, seed ${seed}`
+        );
+        routes = [
+          await provider.fetchRoundTrip({
+            profile: routeProfile,
+            start: [start.lng, start.lat],
+            length,
+            seed,
+            avoid,
+          }),
+        ];
       } else {
-        setError("No route features found in the response.");
-        setRouteGeojson(null);
-        setRouteSummary(null);
+        // Coordinates in [longitude, latitude] format,
+        // with via points in between in the order they should be visited
+        const coordinates = [
+          [start.lng, start.lat],
+          ...via.map((point) => [point.lng, point.lat]),
+          [end.lng, end.lat],
+        ];
+        console.log(
+          `Fetching route from ${provider.label} for profile: ${routeProfile}`,
+          coordinates
+        );
+        routes = await provider.fetchRoutes({
+          profile: routeProfile,
+          coordinates,
+          alternatives: requestAlternatives,
+          avoid,
+        });
       }
+      setFitToRoute(!preserveView);
+      setRouteAlternatives(routes.length > 1 ? routes : []);
+      showRoute(routes[0], 0);
     } catch (err) {
       console.error("Error fetching route:", err);
-      let message = "Failed to fetch route.";
       if (err.response) {
         console.error("Error Response Data:", err.response.data);
-        message += ` Status: ${err.response.status}. ${
-          err.response.data?.error?.message || ""
-        }`;
-      } else if (err.request) {
-        message += " No response received from server.";
-      } else {
-        message += ` ${err.message}`;
       }
-      setError(message);
+      setError(getRoutingErrorMessage(err));
       setRouteGeojson(null); // Clear potentially partial data
       setRouteSummary(null); // Clear summary on error
     } finally {
@@ -156,12 +358,362 @@ function App() {
     }
   };
 
+  // --- Avoid Areas and Options ---
+  const getAvoidOptions = (routeProfile) =>
+    avoidOptionsByProfile[routeProfile] || getDefaultAvoidOptions(routeProfile);
+
+  // Options are remembered per profile
+  const handleAvoidOptionsChange = (options) => {
+    const next = { ...avoidOptionsByProfile, [profile]: options };
+    setAvoidOptionsByProfile(next);
+    localStorage.setItem(AVOID_OPTIONS_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const finishAvoidArea = () => {
+    if (avoidDraft.length < 3) return;
+    setAvoidAreas((prev) => [...prev, avoidDraft]);
+    setSettingPointMode(null);
+  };
+
+  const removeAvoidArea = (index) => {
+    setAvoidAreas((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // --- Loop Mode ---
+  // The loop being planned, as kept in the URL: target in meters or hours
+  const currentLoop = isLoop
+    ? {
+        targetType: loopTargetType,
+        target:
+          loopTargetType === "duration"
+            ? loopTarget
+            : Math.round(fromDistanceUnit(loopTarget, units)),
+        seed: loopSeed,
+      }
+    : null;
+
+  // Target length in meters; durations are converted with the profile's speed
+  const getLoopLength = (loop, routeProfile) =>
+    loop.targetType === "duration"
+      ? loop.target * (LOOP_SPEEDS[routeProfile] || 5) * 1000
+      : loop.target;
+
+  // Loops have no end or via points, so switching modes starts from scratch
+  const handleLoopToggle = (enabled) => {
+    setIsLoop(enabled);
+    setEndPoint(null);
+    setViaPoints([]);
+    setRouteGeojson(null);
+    setRouteSummary(null);
+    setRouteAlternatives([]);
+    setError(null);
+    setSettingPointMode(startPoint ? null : "start");
+  };
+
+  // Same start and target, different loop
+  const rerollLoop = () => {
+    const seed = loopSeed + 1;
+    setLoopSeed(seed);
+    fetchRoute({ seed });
+  };
+
+  // --- Route Alternatives ---
+  // Make one of the fetched routes the current one
+  const showRoute = (route, index) => {
+    setSelectedRouteIndex(index);
+    setRouteGeojson(toRouteGeojson(route));
+
+    // --- Extract summary data ---
+    const extractedSummary = toRouteSummary(route);
+    console.log("Extracted Summary:", extractedSummary);
+    setRouteSummary(extractedSummary);
+  };
+
+  const selectAlternative = (index) => {
+    if (!routeAlternatives[index] || index === selectedRouteIndex) return;
+    console.log(`Selecting alternative route ${index + 1}`);
+    setFitToRoute(false); // All alternatives are already in view
+    showRoute(routeAlternatives[index], index);
+  };
+
+  // --- URL / History Sync ---
+  // Planning changes push a history entry, so back/forward steps through them
+  const planningQuery = encodePlanningState({
+    start: startPoint,
+    end: endPoint,
+    via: viaPoints,
+    profile,
+    avoidAreas,
+    loop: currentLoop,
+  });
+  useEffect(() => {
+    const current = decodePlanningState(window.location.search);
+    if (encodePlanningState({ ...current, view: null }) === planningQuery) {
+      // URL already matches (startup or back/forward navigation); a missing
+      // profile decodes as the default, so a fresh page adds no entry
+      return;
+    }
+    writePlanningStateToUrl({
+      ...decodePlanningState(planningQuery),
+      view: viewRef.current,
+    });
+  }, [planningQuery]);
+
+  // Map moves only update the current entry
+  const handleViewChange = useCallback((view) => {
+    viewRef.current = view;
+    writePlanningStateToUrl(
+      { ...decodePlanningState(window.location.search), view },
+      { replace: true }
+    );
+  }, []);
+
+  // Restore a decoded URL state and recalculate its route
+  const restorePlanningState = (state) => {
+    setStartPoint(state.start);
+    setEndPoint(state.end);
+    setViaPoints(state.via);
+    setAvoidAreas(state.avoidAreas);
+    setProfile(state.profile);
+    setIsLoop(Boolean(state.loop));
+    if (state.loop) {
+      setLoopTargetType(state.loop.targetType);
+      setLoopTarget(toLoopTargetInput(state.loop, units));
+      setLoopSeed(state.loop.seed);
+    }
+    setSettingPointMode(null);
+    setError(null);
+    if (state.view) setViewRequest(state.view);
+    if (state.start && (state.end || state.loop)) {
+      fetchRoute({
+        start: state.start,
+        end: state.end,
+        via: state.via,
+        routeProfile: state.profile,
+        areas: state.avoidAreas,
+        loop: state.loop,
+        preserveView: Boolean(state.view),
+      });
+    } else {
+      setRouteGeojson(null);
+      setRouteSummary(null);
+      setRouteAlternatives([]);
+    }
+  };
+
+  // Always call the latest restore function from the popstate listener
+  const restorePlanningStateRef = useRef(restorePlanningState);
+  useEffect(() => {
+    restorePlanningStateRef.current = restorePlanningState;
+  });
+  const restoredInitialUrlRef = useRef(false); // StrictMode runs effects twice
+
+  useEffect(() => {
+    const handlePopState = () => {
+      console.log("History navigation, restoring:", window.location.search);
+      restorePlanningStateRef.current(
+        decodePlanningState(window.location.search)
+      );
+    };
+    window.addEventListener("popstate", handlePopState);
+
+    // Opening a shared link: show the controls and calculate its route once
+    if (
+      initialUrlState.start &&
+      (initialUrlState.end || initialUrlState.loop) &&
+      !restoredInitialUrlRef.current
+    ) {
+      restoredInitialUrlRef.current = true;
+      setShowInputs(true);
+      restorePlanningStateRef.current(initialUrlState);
+    }
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [initialUrlState]);
+
+  // --- Marker / Route Drag Handlers ---
+  // A start, end or via marker was dropped somewhere else: move it and reroute
+  const handleMarkerDrag = (kind, index, coords) => {
+    let start = startPoint;
+    let end = endPoint;
+    let via = viaPoints;
+    if (kind === "start") {
+      start = coords;
+      setStartPoint(coords);
+    } else if (kind === "end") {
+      end = coords;
+      setEndPoint(coords);
+    } else if (kind === "via") {
+      via = viaPoints.map((point, i) => (i === index ? coords : point));
+      setViaPoints(via);
+    }
+    labelPoint(kind, coords);
+    if (start && (end || isLoop)) {
+      fetchRoute({ start, end, via });
+    }
+  };
+
+  // The route line was dragged: insert a via point into the leg it was grabbed on
+  const handleRouteDrag = (coords, legIndex) => {
+    if (!startPoint || !endPoint) return; // Imported tracks have no waypoints to reroute
+    const via = [...viaPoints];
+    via.splice(Math.min(legIndex, via.length), 0, coords);
+    setViaPoints(via);
+    labelPoint("via", coords);
+    fetchRoute({ via });
+  };
+
+  // --- Place Search ---
+  const showPlace = (place) => {
+    setViewRequest({ lng: place.lng, lat: place.lat, zoom: 14, fly: true });
+  };
+
+  const assignPlace = (place, kind) => {
+    const point = { lng: place.lng, lat: place.lat, name: place.label };
+    console.log(`Place "${place.label}" set as ${kind}`);
+    if (kind === "start") setStartPoint(point);
+    else if (kind === "end") setEndPoint(point);
+    else if (kind === "via") setViaPoints((prev) => [...prev, point]);
+    setSettingPointMode(null);
+    showPlace(place);
+  };
+
+  // --- Points of Interest along the route ---
+  const findPois = async () => {
+    const coordinates = routeGeojson?.features?.[0]?.geometry?.coordinates;
+    if (!coordinates?.length) return;
+    setIsLoadingPois(true);
+    setPoiError(null);
+    try {
+      const found = await fetchPoisAlongRoute(coordinates, poiBuffer);
+      console.log(`Found ${found.length} POIs within ${poiBuffer} m`);
+      setPois(found);
+    } catch (err) {
+      console.error("Error fetching POIs:", err);
+      setPoiError(t("error.pois"));
+    } finally {
+      setIsLoadingPois(false);
+    }
+  };
+
+  const togglePoiCategory = (category) => {
+    setHiddenPoiCategories((prev) =>
+      prev.includes(category)
+        ? prev.filter((c) => c !== category)
+        : [...prev, category]
+    );
+  };
+
+  const showPoi = (poi) => {
+    setViewRequest({ lng: poi.lng, lat: poi.lat, zoom: 15, fly: true });
+  };
+
+  const handleRoutingProviderChange = (id) => {
+    setRoutingProviderId(id);
+    localStorage.setItem(ROUTING_PROVIDER_STORAGE_KEY, id);
+  };
+
+  const handleUnitsChange = (system) => {
+    setUnits(system);
+    localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, system);
+  };
+
+  // --- Track Import (GPX / KML / GeoJSON) ---
+  // Draws the file's track as the current route and derives all stats from its
+  // own coordinates, so nothing is sent to ORS.
+  const importTrack = async (file) => {
+    if (!file) return;
+    try {
+      const { name, coordinates } = await parseRouteFile(file);
+      const stats = computeTrackStats(coordinates);
+      console.log(`Imported "${name}" with ${coordinates.length} points`);
+
+      clearRoute();
+      setFitToRoute(true);
+      setRouteGeojson({
+        type: "FeatureCollection",
+        features: [
+          {
+            type: "Feature",
+            properties: { name, imported: true },
+            geometry: { type: "LineString", coordinates },
+          },
+        ],
+      });
+      setRouteSummary({
+        name,
+        distance: stats.distance, // in meters
+        duration: null, // A recorded track has no routing estimate
+        ascent: stats.ascent, // in meters
+        descent: stats.descent, // in meters
+        segments: [],
+        coordinates,
+      });
+    } catch (err) {
+      console.error("Error importing track:", err);
+      setError(t("error.import", { file: file.name, message: err.message }));
+      setShowInputs(true); // Make sure the error is visible
+    }
+  };
+
+  const handleImportInputChange = (e) => {
+    importTrack(e.target.files?.[0]);
+    e.target.value = ""; // Allow re-importing the same file
+  };
+
+  const handleFileDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    importTrack(e.dataTransfer?.files?.[0]);
+  };
+
+  // --- Saved Routes Library ---
+  // Snapshot of the route on the map, in the shape the library stores
+  const currentRoute = routeSummary
+    ? {
+        profile,
+        routingProvider: routingProviderId,
+        waypoints: { start: startPoint, end: endPoint, via: viaPoints },
+        avoidAreas,
+        routeGeojson,
+        summary: routeSummary,
+      }
+    : null;
+
+  // Restore a saved route exactly as it was stored, without calling ORS again
+  const openSavedRoute = (saved) => {
+    console.log(`Opening saved route "${saved.name}"`);
+    setStartPoint(saved.waypoints?.start || null);
+    setEndPoint(saved.waypoints?.end || null);
+    setViaPoints(saved.waypoints?.via || []);
+    setAvoidAreas(saved.avoidAreas || []);
+    setProfile(saved.profile);
+    // Recalculations and edits use the engine the route was planned with
+    if (ROUTING_PROVIDERS[saved.routingProvider]) {
+      handleRoutingProviderChange(saved.routingProvider);
+    }
+    setFitToRoute(true);
+    setRouteAlternatives([]);
+    setRouteGeojson(saved.routeGeojson);
+    setRouteSummary({ ...saved.summary, name: saved.name });
+    setError(null);
+    setSettingPointMode(null);
+  };
+
   // --- Helper Function to Clear Route ---
   const clearRoute = () => {
     setStartPoint(null);
     setEndPoint(null);
+    setViaPoints([]);
+    setAvoidAreas([]);
     setRouteGeojson(null);
     setRouteSummary(null); // <<< Clear summary state
+    setRouteAlternatives([]);
     setError(null);
     setSettingPointMode(null); // Reset point setting mode
     // Keep showInputs as it is, user might want to plot a new route
@@ -169,7 +721,15 @@ function App() {
 
   return (
     // Ensure the main App container can act as a positioning context if needed
-    <div className="App">
+    <div
+      className="App"
+      onDragOver={handleFileDragOver}
+      onDragLeave={() => setIsDraggingFile(false)}
+      onDrop={handleFileDrop}
+    >
+      {isDraggingFile && (
+        <div className="drop-overlay">{t("app.dropTrack")}</div>
+      )}
       {/* --- Route Card --- */}
       {/* We'll style this div using CSS */}
       <div className="route-card">
@@ -196,7 +756,7 @@ function App() {
               padding: "0",
               outline: "none",
             }}
-            title="Get Directions"
+            title={t("app.getDirections")}
           >
             <svg
               xmlns="http://www.w3.org/2000/svg"
@@ -209,20 +769,142 @@ function App() {
           </button>
         ) : (
           <>
-            <h3>Plan Route</h3>
+            <h3>{t("app.planRoute")}</h3>
             {/* Profile Selector */}
             <div>
-              <label>Mode: </label>
+              <label>{t("app.mode")} </label>
               <select
                 value={profile}
                 onChange={(e) => setProfile(e.target.value)}
               >
-                <option value="driving-car">Car</option>
-                <option value="cycling-road">Road Bike</option>
-                <option value="cycling-mountain">Mountain Bike</option>
-                <option value="foot-hiking">Foot (Hiking)</option>
+                {PROFILES.map((id) => (
+                  <option key={id} value={id}>
+                    {t(`profile.${id}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {/* Routing Engine Selector (settings) */}
+            <div>
+              <label>{t("app.engine")} </label>
+              <select
+                value={routingProviderId}
+                onChange={(e) => handleRoutingProviderChange(e.target.value)}
+              >
+                {Object.values(ROUTING_PROVIDERS).map((provider) => (
+                  <option key={provider.id} value={provider.id}>
+                    {provider.label}
+                  </option>
+                ))}
               </select>
             </div>
+            {/* Unit System (settings) */}
+            <div>
+              <label>{t("app.units")} </label>
+              <select
+                value={units}
+                onChange={(e) => handleUnitsChange(e.target.value)}
+              >
+                {Object.entries(UNIT_SYSTEMS).map(([id, { labelKey }]) => (
+                  <option key={id} value={id}>
+                    {t(labelKey)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {/* Language (settings), detected from the browser by default */}
+            <div>
+              <label>{t("app.language")} </label>
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+              >
+                {Object.entries(LANGUAGES).map(([id, { label }]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {/* Departure Time: drives arrival times for the weather forecast */}
+            <div>
+              <label>{t("app.departure")} </label>
+              <input
+                type="datetime-local"
+                value={departureTime}
+                onChange={(e) => setDepartureTime(e.target.value)}
+              />
+            </div>
+            {/* Trip Type: point to point or a loop back to the start */}
+            <div className="trip-type">
+              <label>
+                <input
+                  type="radio"
+                  checked={!isLoop}
+                  onChange={() => handleLoopToggle(false)}
+                />{" "}
+                {t("app.oneWay")}
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  checked={isLoop}
+                  onChange={() => handleLoopToggle(true)}
+                />{" "}
+                {t("app.loop")}
+              </label>
+            </div>
+            {isLoop && (
+              <div className="loop-settings">
+                <label>{t("app.loopTarget")} </label>
+                <input
+                  type="number"
+                  min="1"
+                  step={loopTargetType === "duration" ? 0.5 : 1}
+                  value={loopTarget}
+                  onChange={(e) => setLoopTarget(Number(e.target.value))}
+                />
+                <select
+                  value={loopTargetType}
+                  onChange={(e) => setLoopTargetType(e.target.value)}
+                >
+                  <option value="distance">
+                    {UNIT_SYSTEMS[units].distanceUnit}
+                  </option>
+                  <option value="duration">{t("app.hours")}</option>
+                </select>
+                <button
+                  onClick={rerollLoop}
+                  disabled={!startPoint || isLoading}
+                  title={t("app.rerollLoop")}
+                >
+                  🎲 {t("app.loopNumber", { seed: loopSeed })}
+                </button>
+              </div>
+            )}
+            {/* Alternative Routes Toggle */}
+            {!isLoop && (
+              <div className="alternatives-toggle">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={requestAlternatives}
+                    onChange={(e) => setRequestAlternatives(e.target.checked)}
+                  />{" "}
+                  {t("app.showAlternatives")}
+                </label>
+                {requestAlternatives && viaPoints.length > 0 && (
+                  <small> {t("app.alternativesWithoutVia")}</small>
+                )}
+              </div>
+            )}
+            {/* Place Search: set points by name instead of clicking */}
+            <PlaceSearch
+              onShowPlace={showPlace}
+              onAssignPlace={assignPlace}
+              assignKinds={isLoop ? ["start"] : ["start", "end", "via"]}
+              focus={viewRef.current}
+            />
             {/* Point Setting Buttons/Indicators */}
             <div>
               <button
@@ -230,69 +912,244 @@ function App() {
                 disabled={settingPointMode === "start"}
                 title={
                   startPoint
-                    ? `Start: ${startPoint.lng.toFixed(
-                        4
-                      )}, ${startPoint.lat.toFixed(4)}`
-                    : "Click map to set start"
+                    ? t("app.startTitle", { name: describePoint(startPoint) })
+                    : t("app.setStartTitle")
                 }
               >
                 {settingPointMode === "start"
-                  ? "Click Map for Start"
+                  ? t("app.clickForStart")
                   : startPoint
-                  ? "Start Set ✓"
-                  : "Set Start Point"}
-              </button>
-              <button
-                onClick={() => setSettingPointMode("end")}
-                disabled={!startPoint || settingPointMode === "end"} // Disable if start not set or already setting end
-                title={
-                  endPoint
-                    ? `End: ${endPoint.lng.toFixed(4)}, ${endPoint.lat.toFixed(
-                        4
-                      )}`
-                    : "Click map to set end"
-                }
-              >
-                {settingPointMode === "end"
-                  ? "Click Map for End"
-                  : endPoint
-                  ? "End Set ✓"
-                  : "Set End Point"}
+                  ? t("app.startSet")
+                  : t("app.setStart")}
               </button>
+              {!isLoop && (
+                <button
+                  onClick={() => setSettingPointMode("end")}
+                  disabled={!startPoint || settingPointMode === "end"} // Disable if start not set or already setting end
+                  title={
+                    endPoint
+                      ? t("app.endTitle", { name: describePoint(endPoint) })
+                      : t("app.setEndTitle")
+                  }
+                >
+                  {settingPointMode === "end"
+                    ? t("app.clickForEnd")
+                    : endPoint
+                    ? t("app.endSet")
+                    : t("app.setEnd")}
+                </button>
+              )}
             </div>
-            {settingPointMode && (
-              <p>Click on the map to set the {settingPointMode} point.</p>
+            {(startPoint?.name || endPoint?.name) && (
+              <p className="point-names">
+                {startPoint && describePoint(startPoint)}
+                {endPoint && ` → ${describePoint(endPoint)}`}
+              </p>
             )}
+            {/* Via Points: ordered list, reorderable and removable */}
+            {!isLoop && (
+              <div className="via-points">
+                <button
+                  onClick={() =>
+                    setSettingPointMode(
+                      settingPointMode === "via" ? null : "via"
+                    )
+                  }
+                  disabled={!startPoint}
+                  className={settingPointMode === "via" ? "active-setting" : ""}
+                  title={t("app.addViaTitle")}
+                >
+                  {settingPointMode === "via"
+                    ? t("app.doneAddingVia")
+                    : t("app.addVia")}
+                </button>
+                {viaPoints.length > 0 && (
+                  <ol className="via-list">
+                    {viaPoints.map((point, index) => (
+                      <li key={`${point.lng},${point.lat},${index}`}>
+                        <span className="via-label">
+                          {describePoint(point)}
+                        </span>
+                        <button
+                          onClick={() => moveViaPoint(index, -1)}
+                          disabled={index === 0}
+                          title={t("app.moveUp")}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => moveViaPoint(index, 1)}
+                          disabled={index === viaPoints.length - 1}
+                          title={t("app.moveDown")}
+                        >
+                          ↓
+                        </button>
+                        <button
+                          onClick={() => removeViaPoint(index)}
+                          title={t("app.removeVia")}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+            {/* Avoid: areas drawn on the map and features of the way */}
+            <AvoidPanel
+              profile={profile}
+              provider={getRoutingProvider(routingProviderId)}
+              options={getAvoidOptions(profile)}
+              onOptionsChange={handleAvoidOptionsChange}
+              areas={avoidAreas}
+              onRemoveArea={removeAvoidArea}
+              isDrawing={settingPointMode === "avoid"}
+              draftLength={avoidDraft.length}
+              onStartDrawing={() => setSettingPointMode("avoid")}
+              onFinishDrawing={finishAvoidArea}
+              onCancelDrawing={() => setSettingPointMode(null)}
+            />
+            {settingPointMode && <p>{t(`app.hint.${settingPointMode}`)}</p>}
             {/* Action Buttons */}
             <div className="action-buttons">
               {" "}
               {/* Optional: Wrap buttons for better layout control */}
               <button
-                onClick={fetchRoute}
-                disabled={!startPoint || !endPoint || isLoading}
+                onClick={() => fetchRoute()}
+                disabled={!startPoint || (!isLoop && !endPoint) || isLoading}
               >
-                {isLoading ? "Calculating..." : "Calculate Route"}
+                {isLoading ? t("app.calculating") : t("app.calculateRoute")}
               </button>
               <button onClick={clearRoute} disabled={isLoading}>
-                Clear
+                {t("app.clear")}
               </button>
               <button onClick={() => setShowInputs(false)}>
-                Hide Controls
+                {t("app.hideControls")}
+              </button>
+            </div>
+            {/* Track Import */}
+            <div className="import-track">
+              <button
+                onClick={() => importInputRef.current?.click()}
+                disabled={isLoading}
+                title={t("app.importTitle")}
+              >
+                {t("app.importTrack")}
+              </button>
+              <button
+                onClick={() => setShowLibrary((prev) => !prev)}
+                className={showLibrary ? "active-setting" : ""}
+              >
+                {t("library.title")}
               </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept={IMPORT_ACCEPT}
+                onChange={handleImportInputChange}
+                hidden
+              />
             </div>
 
-            {error && <p className="error-message">Error: {error}</p>}
+            {/* Isochrones: where can I get from a point */}
+            <div className="isochrones">
+              <label>{t("app.reach")} </label>
+              <input
+                type="text"
+                value={isochroneRanges}
+                onChange={(e) => setIsochroneRanges(e.target.value)}
+                title={t("app.reachTitle")}
+              />
+              <select
+                value={isochroneRangeType}
+                onChange={(e) => setIsochroneRangeType(e.target.value)}
+              >
+                <option value="time">{t("app.minutes")}</option>
+                <option value="distance">
+                  {UNIT_SYSTEMS[units].distanceUnit}
+                </option>
+              </select>
+              <button
+                onClick={() =>
+                  setSettingPointMode(
+                    settingPointMode === "isochrone" ? null : "isochrone"
+                  )
+                }
+                disabled={isLoading}
+                className={
+                  settingPointMode === "isochrone" ? "active-setting" : ""
+                }
+                title={t("app.pickPointTitle")}
+              >
+                {t("app.pickPoint")}
+              </button>
+            </div>
+            {isochronesGeojson && (
+              <div className="isochrones">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={showIsochrones}
+                    onChange={(e) => setShowIsochrones(e.target.checked)}
+                  />{" "}
+                  {t("app.showReachability")}
+                </label>
+                <button onClick={() => setIsochronesGeojson(null)}>
+                  {t("app.remove")}
+                </button>
+              </div>
+            )}
+
+            {error && (
+              <p className="error-message">
+                {t("common.error", { message: error })}
+              </p>
+            )}
           </>
         )}
       </div>
 
+      {/* --- Saved Routes Library Panel --- */}
+      {showInputs && showLibrary && (
+        <RouteLibraryPanel
+          currentRoute={currentRoute}
+          onOpenRoute={openSavedRoute}
+          onClose={() => setShowLibrary(false)}
+          units={units}
+        />
+      )}
+
       {/* --- Map Component --- */}
       {/* MapComponent takes up the full space behind the card */}
       <MapComponent
         routeGeojson={routeGeojson}
         startPoint={startPoint}
         endPoint={endPoint}
+        viaPoints={viaPoints}
         onMapClick={handleMapClick}
+        onMarkerDrag={handleMarkerDrag}
+        onRouteDrag={handleRouteDrag}
+        initialView={initialUrlState.view}
+        viewRequest={viewRequest}
+        onViewChange={handleViewChange}
+        fitToRoute={fitToRoute}
+        hoverIndex={hoverIndex}
+        onRouteHover={setHoverIndex}
+        routeHighlight={routeHighlight}
+        onRouteHighlightChange={setRouteHighlight}
+        routeAlternatives={routeAlternatives}
+        selectedRouteIndex={selectedRouteIndex}
+        onAlternativeSelect={selectAlternative}
+        isochronesGeojson={isochronesGeojson}
+        showIsochrones={showIsochrones}
+        pois={pois}
+        hiddenPoiCategories={hiddenPoiCategories}
+        avoidAreas={avoidAreas}
+        avoidDraft={avoidDraft}
+        profile={profile}
+        difficultyThreshold={difficultyThreshold}
+        units={units}
       />
       {/* --- Route Summary Card (Bottom Center) --- */}
       {/* Render only if we have summary data */}
@@ -300,6 +1157,27 @@ function App() {
         <RouteSummaryCard
           summary={routeSummary}
           profile={profile} // Pass profile for context if needed
+          routeGeojson={routeGeojson} // Raw route for GeoJSON export
+          hoverIndex={hoverIndex}
+          onHoverIndexChange={setHoverIndex}
+          routeHighlight={routeHighlight}
+          onRouteHighlightChange={setRouteHighlight}
+          routeAlternatives={routeAlternatives}
+          selectedRouteIndex={selectedRouteIndex}
+          onAlternativeSelect={selectAlternative}
+          pois={pois}
+          poiBuffer={poiBuffer}
+          onPoiBufferChange={setPoiBuffer}
+          onPoiSearch={findPois}
+          isLoadingPois={isLoadingPois}
+          poiError={poiError}
+          hiddenPoiCategories={hiddenPoiCategories}
+          onTogglePoiCategory={togglePoiCategory}
+          onPoiClick={showPoi}
+          difficultyThreshold={difficultyThreshold}
+          onDifficultyThresholdChange={setDifficultyThreshold}
+          departureTime={departureTime}
+          units={units}
         />
       )}
     </div>
@@ -0,0 +1,125 @@
+// src/AvoidPanel.jsx
+import React from "react";
+import "./AvoidPanel.css";
+import {
+  AVOID_FEATURES,
+  MAX_STEEPNESS_PROFILES,
+  MAX_STEEPNESS_CHOICES,
+  getAvoidFeatures,
+} from "./routing/avoid";
+import { formatNumber } from "./formatters";
+import { t } from "./i18n";
+
+// --- Avoid Panel ---
+// options: { features, maxSteepness } for the current profile (see avoid.js)
+// areas: drawn polygons; draftLength: corners of the one being drawn, if any
+// Only what the selected routing provider can honor is offered.
+function AvoidPanel({
+  profile,
+  provider,
+  options,
+  onOptionsChange,
+  areas,
+  onRemoveArea,
+  isDrawing,
+  draftLength,
+  onStartDrawing,
+  onFinishDrawing,
+  onCancelDrawing,
+}) {
+  const features = getAvoidFeatures(profile).filter((feature) =>
+    provider.avoid?.features.includes(feature)
+  );
+  const showMaxSteepness =
+    provider.avoid?.maxSteepness && MAX_STEEPNESS_PROFILES.includes(profile);
+
+  const toggleFeature = (feature, checked) => {
+    onOptionsChange({
+      ...options,
+      features: checked
+        ? [...options.features, feature]
+        : options.features.filter((f) => f !== feature),
+    });
+  };
+
+  return (
+    <div className="avoid-panel">
+      <span className="avoid-title">{t("avoid.title")}</span>
+      {(features.length > 0 || showMaxSteepness) && (
+        <div className="avoid-options">
+          {features.map((feature) => (
+            <label key={feature}>
+              <input
+                type="checkbox"
+                checked={options.features.includes(feature)}
+                onChange={(e) => toggleFeature(feature, e.target.checked)}
+              />{" "}
+              {t(AVOID_FEATURES[feature].labelKey)}
+            </label>
+          ))}
+          {showMaxSteepness && (
+            <label>
+              {t("avoid.maxSteepness")}{" "}
+              <select
+                value={options.maxSteepness ?? ""}
+                onChange={(e) =>
+                  onOptionsChange({
+                    ...options,
+                    maxSteepness: e.target.value
+                      ? Number(e.target.value)
+                      : null,
+                  })
+                }
+              >
+                <option value="">{t("avoid.noLimit")}</option>
+                {MAX_STEEPNESS_CHOICES.map((percent) => (
+                  <option key={percent} value={percent}>
+                    {formatNumber(percent)}%
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+
+      {provider.avoid?.areas ? (
+        <div className="avoid-areas">
+          {isDrawing ? (
+            <>
+              <button
+                onClick={onFinishDrawing}
+                disabled={draftLength < 3}
+                className="active-setting"
+              >
+                {t("avoid.finishArea")}
+              </button>
+              <button onClick={onCancelDrawing}>{t("avoid.cancel")}</button>
+            </>
+          ) : (
+            <button onClick={onStartDrawing} title={t("avoid.drawTitle")}>
+              {t("avoid.drawArea")}
+            </button>
+          )}
+          {areas.map((area, index) => (
+            <span key={index} className="avoid-area">
+              {t("avoid.areaNumber", { number: index + 1 })}
+              <button
+                onClick={() => onRemoveArea(index)}
+                title={t("avoid.removeArea")}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      ) : (
+        <small className="avoid-note">
+          {t("avoid.noAreas", { engine: provider.label })}
+        </small>
+      )}
+    </div>
+  );
+}
+
+export default AvoidPanel;
@@ -0,0 +1,51 @@
+// src/DaylightCheck.jsx
+import React from "react";
+import "./DaylightCheck.css";
+import { formatDuration, formatTime } from "./formatters";
+import { t } from "./i18n";
+
+// --- Daylight Check ---
+// daylight: from checkDaylight, or null when there is nothing to check
+function DaylightCheck({ daylight }) {
+  if (!daylight) return null;
+  const {
+    sunrise,
+    sunset,
+    dusk,
+    arrival,
+    margin,
+    latestStart,
+    status,
+    startsInDark,
+    tooLong,
+  } = daylight;
+
+  const message =
+    status === "ok"
+      ? `☀ ${t("daylight.ok", {
+          time: formatTime(arrival),
+          margin: formatDuration(margin),
+        })}`
+      : `⚠ ${t(`daylight.${status}`, { time: formatTime(arrival) })}`;
+
+  return (
+    <div className={`daylight-check ${status}`}>
+      <div className="daylight-message">{message}</div>
+      {startsInDark && (
+        <div className="daylight-message">⚠ {t("daylight.startsInDark")}</div>
+      )}
+      <div className="daylight-times">
+        <span>{t("daylight.sunrise", { time: formatTime(sunrise) })}</span>
+        <span>{t("daylight.sunset", { time: formatTime(sunset) })}</span>
+        {dusk && <span>{t("daylight.dusk", { time: formatTime(dusk) })}</span>}
+        <span>
+          {tooLong
+            ? t("daylight.tooLong")
+            : t("daylight.latestStart", { time: formatTime(latestStart) })}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default DaylightCheck;
@@ -0,0 +1,93 @@
+// src/DirectionsList.jsx
+import React, { useState } from "react";
+import "./DirectionsList.css";
+import { formatDistance } from "./formatters";
+import { t } from "./i18n";
+
+// Normalized maneuver names (see routing/index.js) -> icon
+const MANEUVER_ICONS = {
+  depart: "⬆",
+  arrive: "⚑",
+  straight: "↑",
+  left: "←",
+  right: "→",
+  "sharp-left": "↙",
+  "sharp-right": "↘",
+  "slight-left": "↖",
+  "slight-right": "↗",
+  "keep-left": "↖",
+  "keep-right": "↗",
+  "roundabout-enter": "↻",
+  "roundabout-exit": "↻",
+  "u-turn": "↶",
+};
+
+// --- Turn-by-Turn Directions ---
+// segments: normalized route legs with their steps
+// Clicking a step highlights its stretch of the route, which also zooms the map to it.
+function DirectionsList({
+  segments,
+  routeHighlight,
+  onRouteHighlightChange,
+  units,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const steps = (segments || []).flatMap((segment, legIndex) =>
+    (segment.steps || []).map((step, stepIndex) => ({
+      ...step,
+      id: `step:${legIndex}.${stepIndex}`,
+    }))
+  );
+  if (steps.length === 0) return null;
+
+  const handleStepClick = (step) => {
+    if (!onRouteHighlightChange || !step.wayPoints) return;
+    onRouteHighlightChange(
+      routeHighlight?.id === step.id
+        ? null
+        : { id: step.id, ranges: [step.wayPoints] }
+    );
+  };
+
+  return (
+    // Collapsed lists stay in the DOM so they still show up when printing
+    <div className={`directions-list${isOpen ? "" : " collapsed"}`}>
+      <div className="directions-header">
+        <button
+          className="directions-toggle"
+          onClick={() => setIsOpen((prev) => !prev)}
+          aria-expanded={isOpen}
+        >
+          {isOpen ? "▾" : "▸"} {t("directions.title", { count: steps.length })}
+        </button>
+        <button
+          className="directions-print"
+          onClick={() => window.print()}
+          title={t("directions.printTitle")}
+        >
+          {t("directions.print")}
+        </button>
+      </div>
+      <ol className="directions-steps">
+        {steps.map((step) => (
+          <li
+            key={step.id}
+            className={routeHighlight?.id === step.id ? "selected" : ""}
+            onClick={() => handleStepClick(step)}
+          >
+            <span className="maneuver-icon">
+              {MANEUVER_ICONS[step.maneuver] || MANEUVER_ICONS.straight}
+            </span>
+            <span className="step-instruction">{step.instruction}</span>
+            <span className="step-distance">
+              {step.distance > 0 ? formatDistance(step.distance, units) : ""}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default DirectionsList;
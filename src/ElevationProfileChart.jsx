@@ -1,5 +1,5 @@
 // src/ElevationProfileChart.jsx
-import React, { useMemo } from "react";
+import React, { useMemo, useRef, useEffect } from "react";
 import { Line } from "react-chartjs-2";
 import {
   Chart as ChartJS,
@@ -12,6 +12,19 @@ import {
   Legend,
   Filler, // Import Filler plugin
 } from "chart.js";
+import { computeElevationProfile } from "./geoUtils";
+import {
+  formatGrade,
+  formatDuration,
+  formatTemperature,
+  formatPrecipitation,
+  formatNumber,
+  toDistanceUnit,
+  toElevationUnit,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+} from "./formatters";
+import { t, useLanguage } from "./i18n";
 
 // Register necessary Chart.js components
 ChartJS.register(
@@ -25,65 +38,108 @@ ChartJS.register(
   Filler // Register Filler
 );
 
-// Helper function to calculate distance between two lat/lon points (Haversine formula)
-// Returns distance in meters
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (lat1 * Math.PI) / 180; // φ, λ in radians
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Shades index ranges (e.g. climbs) behind the elevation line.
+// Configured via options.plugins.shadedRanges.ranges: [{ from, to, color }]
+const shadedRangesPlugin = {
+  id: "shadedRanges",
+  beforeDatasetsDraw(chart, args, pluginOptions) {
+    const ranges = pluginOptions?.ranges;
+    if (!ranges?.length) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ranges.forEach(({ from, to, color }) => {
+      const left = scales.x.getPixelForValue(from);
+      const right = scales.x.getPixelForValue(to);
+      ctx.fillStyle = color;
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.height);
+    });
+    ctx.restore();
+  },
+};
 
-  return R * c; // Distance in meters
-}
+// Weather band along the top of the chart: temperature and any precipitation
+// at each forecast point. Configured via options.plugins.weatherBand:
+// { samples: [{ index, weather }], units }
+const weatherBandPlugin = {
+  id: "weatherBand",
+  afterDatasetsDraw(chart, args, pluginOptions) {
+    const samples = pluginOptions?.samples?.filter((sample) => sample.weather);
+    if (!samples?.length) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    samples.forEach(({ index, weather }) => {
+      const x = Math.min(
+        Math.max(scales.x.getPixelForValue(index), chartArea.left + 16),
+        chartArea.right - 16
+      );
+      const lines = [
+        formatTemperature(weather.temperature, pluginOptions.units),
+      ];
+      if (weather.precipitation > 0) {
+        lines.push(
+          formatPrecipitation(weather.precipitation, pluginOptions.units)
+        );
+      }
+      ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+      ctx.fillRect(x - 18, chartArea.top, 36, lines.length * 11 + 2);
+      lines.forEach((line, i) => {
+        ctx.fillStyle = i === 0 ? "rgb(51, 51, 51)" : "rgb(0, 122, 255)";
+        ctx.fillText(line, x, chartArea.top + 1 + i * 11);
+      });
+    });
+    ctx.restore();
+  },
+};
 
 // Helper to format distance for labels/tooltips
-const formatChartDistance = (meters) => {
-  if (meters === null || meters === undefined) return "0 km";
-  const kilometers = meters / 1000;
-  return `${kilometers.toFixed(1)} km`;
+const formatChartDistance = (meters, units) => {
+  const { distanceUnit } = UNIT_SYSTEMS[units];
+  if (meters === null || meters === undefined) return `0 ${distanceUnit}`;
+  return `${formatNumber(toDistanceUnit(meters, units), 1)} ${distanceUnit}`;
 };
 
-function ElevationProfileChart({ coordinates }) {
+// hoverIndex: coordinate index highlighted from outside (e.g. the map)
+// onHoverIndexChange: reports the coordinate index under the mouse, or null
+// times: optional cumulative seconds per coordinate (hiking time model)
+// shadedRanges: optional [{ from, to, color }] coordinate index ranges to shade
+// weatherSamples: optional [{ index, weather }] forecasts drawn as a band
+// units: key into UNIT_SYSTEMS for the axes and tooltips
+function ElevationProfileChart({
+  coordinates,
+  hoverIndex,
+  onHoverIndexChange,
+  times,
+  shadedRanges,
+  weatherSamples,
+  units = DEFAULT_UNIT_SYSTEM,
+}) {
+  const chartRef = useRef(null);
+  useLanguage(); // Re-render translated labels and axes on language change
+  const elevationLabel = t("chart.elevation");
+
+  // Distance / elevation / grade per coordinate, shared by data and tooltips
+  const profile = useMemo(
+    () => computeElevationProfile(coordinates),
+    [coordinates]
+  );
+
   // useMemo prevents recalculating data on every render unless coordinates change
   const chartData = useMemo(() => {
     if (!coordinates || coordinates.length < 2) {
       return { labels: [], datasets: [] };
     }
 
-    const elevations = [];
-    const distances = [0]; // Start at 0 distance
-    let cumulativeDistance = 0;
-
-    for (let i = 1; i < coordinates.length; i++) {
-      const [lon1, lat1, ele1] = coordinates[i - 1];
-      const [lon2, lat2, ele2] = coordinates[i];
-
-      // Add elevation for the *start* point of the segment on the first iteration
-      if (i === 1) {
-        elevations.push(
-          ele1 !== undefined && ele1 !== null ? Math.round(ele1) : 0
-        );
-      }
-      // Add elevation for the end point of the segment
-      elevations.push(
-        ele2 !== undefined && ele2 !== null ? Math.round(ele2) : 0
-      );
-
-      // Calculate distance of this segment
-      const segmentDistance = calculateDistance(lat1, lon1, lat2, lon2);
-      cumulativeDistance += segmentDistance;
-      distances.push(cumulativeDistance);
-    }
+    const distances = profile.distances;
+    const elevations = profile.elevations.map((ele) =>
+      Math.round(toElevationUnit(ele, units))
+    );
 
     // Create labels at reasonable intervals (e.g., every ~10% of points or every km)
     // This simplifies the X-axis display
-    const labels = distances.map((d) => formatChartDistance(d));
+    const labels = distances.map((d) => formatChartDistance(d, units));
     const simplifiedLabels = [];
     const elevationData = [];
     const numPoints = distances.length;
@@ -104,7 +160,7 @@ function ElevationProfileChart({ coordinates }) {
       labels: simplifiedLabels, // Use the distance labels for the X-axis
       datasets: [
         {
-          label: "Elevation",
+          label: elevationLabel,
           data: elevationData, // The elevation values for the Y-axis
           borderColor: "rgb(51, 51, 51)",
           backgroundColor: "rgba(51, 51, 51, 0.2)", // Fill color
@@ -117,7 +173,36 @@ function ElevationProfileChart({ coordinates }) {
         },
       ],
     };
-  }, [coordinates]);
+  }, [coordinates, profile, units, elevationLabel]);
+
+  // --- Highlight the point hovered on the map ---
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart || !chart.data.datasets.length) return;
+    const active =
+      hoverIndex !== null &&
+      hoverIndex !== undefined &&
+      hoverIndex < chart.data.datasets[0].data.length
+        ? [{ datasetIndex: 0, index: hoverIndex }]
+        : [];
+    // Skip if the chart itself is already showing this point (hover from the chart)
+    const current = chart.getActiveElements();
+    if (
+      current.length === active.length &&
+      (active.length === 0 || current[0].index === active[0].index)
+    ) {
+      return;
+    }
+    chart.setActiveElements(active);
+    const point = active.length
+      ? chart.getDatasetMeta(0).data[hoverIndex]
+      : null;
+    chart.tooltip.setActiveElements(
+      active,
+      point ? { x: point.x, y: point.y } : { x: 0, y: 0 }
+    );
+    chart.update("none");
+  }, [hoverIndex, chartData]);
 
   const options = {
     responsive: true,
@@ -126,9 +211,16 @@ function ElevationProfileChart({ coordinates }) {
       legend: {
         display: false, // Hide legend as there's only one dataset
       },
+      shadedRanges: {
+        ranges: shadedRanges,
+      },
+      weatherBand: {
+        samples: weatherSamples,
+        units,
+      },
       title: {
         display: true,
-        text: "Elevation Profile",
+        text: t("chart.title"),
         font: { size: 14 },
       },
       tooltip: {
@@ -136,19 +228,12 @@ function ElevationProfileChart({ coordinates }) {
         intersect: false,
         callbacks: {
           title: function (tooltipItems) {
-            // Show distance in tooltip title
+            // Show exact distance from start in tooltip title
             const index = tooltipItems[0]?.dataIndex;
-            if (index !== undefined && index < chartData.labels.length) {
-              // Find the nearest non-null label if the current one is null
-              let labelIndex = index;
-              while (chartData.labels[labelIndex] === null && labelIndex > 0) {
-                labelIndex--;
-              }
-              return `Dist: ${
-                chartData.labels[labelIndex] || formatChartDistance(0)
-              }`; // Fallback
-            }
-            return "";
+            if (index === undefined) return "";
+            return t("chart.distanceTooltip", {
+              distance: formatChartDistance(profile.distances[index], units),
+            });
           },
           label: function (context) {
             let label = context.dataset.label || "";
@@ -156,19 +241,45 @@ function ElevationProfileChart({ coordinates }) {
               label += ": ";
             }
             if (context.parsed.y !== null) {
-              label += `${Math.round(context.parsed.y)} m`; // Elevation in meters
+              // Already converted to the unit system's elevation unit
+              label += `${Math.round(context.parsed.y)} ${
+                UNIT_SYSTEMS[units].elevationUnit
+              }`;
             }
             return label;
           },
+          afterLabel: function (context) {
+            const lines = [];
+            const grade = profile.grades[context.dataIndex];
+            if (grade !== undefined) {
+              lines.push(
+                t("chart.gradeTooltip", { grade: formatGrade(grade) })
+              );
+            }
+            const time = times?.[context.dataIndex];
+            if (time !== undefined) {
+              lines.push(
+                t("chart.timeTooltip", { time: formatDuration(time) })
+              );
+            }
+            return lines;
+          },
         },
       },
     },
+    // Report the hovered coordinate so the map can follow along
+    onHover: (event, elements) => {
+      if (!onHoverIndexChange) return;
+      onHoverIndexChange(elements.length ? elements[0].index : null);
+    },
     scales: {
       y: {
         beginAtZero: false, // Elevation doesn't always start at 0
         title: {
           display: true,
-          text: "Elevation (m)",
+          text: t("chart.elevationAxis", {
+            unit: UNIT_SYSTEMS[units].elevationUnit,
+          }),
           font: { size: 12 },
         },
         grid: {
@@ -181,7 +292,7 @@ function ElevationProfileChart({ coordinates }) {
       x: {
         title: {
           display: true,
-          text: "Distance",
+          text: t("chart.distanceAxis"),
           font: { size: 12 },
         },
         ticks: {
@@ -206,7 +317,15 @@ function ElevationProfileChart({ coordinates }) {
     animation: false,
   };
   console.log("Chart data:", chartData);
-  return <Line options={options} data={chartData} />;
+  return (
+    <Line
+      ref={chartRef}
+      options={options}
+      data={chartData}
+      plugins={[shadedRangesPlugin, weatherBandPlugin]}
+      onMouseLeave={() => onHoverIndexChange?.(null)}
+    />
+  );
 }
 
 export default ElevationProfileChart;
@@ -1,7 +1,38 @@
-import React, { useRef, useEffect, useState, useCallback } from "react";
+import React, {
+  useRef,
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+} from "react";
 import mapboxgl from "mapbox-gl";
 import axios from "axios"; // Import Axios
 import "mapbox-gl/dist/mapbox-gl.css";
+import "./MapComponent.css";
+import {
+  findNearestCoordinateIndex,
+  computeElevationProfile,
+} from "./geoUtils";
+import {
+  formatDistance,
+  formatElevation,
+  formatGrade,
+  formatTime,
+  DEFAULT_UNIT_SYSTEM,
+} from "./formatters";
+import {
+  ROUTE_COLOR_MODES,
+  buildExtraSegmentsGeojson,
+  buildRangesGeojson,
+  buildDifficultyHotspotsGeojson,
+  getExtraRanges,
+  getExtraValuesPresent,
+  getTrailDifficultyName,
+  getTrailDifficultyScale,
+} from "./routeExtras";
+import { POI_CATEGORIES } from "./pois";
+import { toClosedRing } from "./routing/avoid";
+import { t, useLanguage } from "./i18n";
 // Location and Flag icons are handled via SVG now, so these imports might be removable
 // import { Location, Flag } from "react-ionicons";
 
@@ -14,57 +45,224 @@ const RAINVIEWER_API_URL =
 const RADAR_SOURCE_ID = "rainviewer-source";
 const RADAR_LAYER_ID = "rainviewer-layer";
 const RADAR_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes in milliseconds
+const RADAR_PLAYBACK_INTERVAL = 500; // ms per frame while the timeline plays
+const RADAR_OPACITY = 0.7;
+const getRadarLayerId = (index) => `${RADAR_LAYER_ID}-${index}`;
+const getRadarSourceId = (index) => `${RADAR_SOURCE_ID}-${index}`;
 
-function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
+// Remove every radar frame still on the map. Frame ids are numbered from 0,
+// so stop at the first index with neither a layer nor a source.
+const removeRadarFrames = (map) => {
+  for (
+    let index = 0;
+    map.getLayer(getRadarLayerId(index)) ||
+    map.getSource(getRadarSourceId(index));
+    index++
+  ) {
+    if (map.getLayer(getRadarLayerId(index))) {
+      map.removeLayer(getRadarLayerId(index));
+    }
+    if (map.getSource(getRadarSourceId(index))) {
+      map.removeSource(getRadarSourceId(index));
+    }
+  }
+};
+
+// --- Constants for route dragging ---
+const ROUTE_DRAG_SOURCE_ID = "route-drag-point";
+const ROUTE_DRAG_LAYER_ID = "route-drag-point-layer";
+
+// --- Constants for the route colored by an extra (steepness, ...) ---
+const ROUTE_COLORED_SOURCE_ID = "route-colored";
+const ROUTE_COLORED_LAYER_ID = "route-colored-layer";
+
+// --- Constants for highlighted stretches (halo drawn under the route) ---
+const ROUTE_HIGHLIGHT_SOURCE_ID = "route-highlight";
+const ROUTE_HIGHLIGHT_LAYER_ID = "route-highlight-layer";
+
+// --- Constants for alternative routes (drawn in gray under the route) ---
+const ROUTE_ALTERNATIVES_SOURCE_ID = "route-alternatives";
+const ROUTE_ALTERNATIVES_LAYER_ID = "route-alternatives-layer";
+
+// --- Constants for trail difficulty hotspots (halo plus a grade label) ---
+const DIFFICULTY_HOTSPOTS_SOURCE_ID = "difficulty-hotspots";
+const DIFFICULTY_HOTSPOTS_LINE_LAYER_ID = "difficulty-hotspots-line-layer";
+const DIFFICULTY_HOTSPOTS_LABEL_LAYER_ID = "difficulty-hotspots-label-layer";
+const DIFFICULTY_HOTSPOTS_LAYER_IDS = [
+  DIFFICULTY_HOTSPOTS_LINE_LAYER_ID,
+  DIFFICULTY_HOTSPOTS_LABEL_LAYER_ID,
+];
+
+// --- Constants for avoid areas (and the one being drawn) ---
+const AVOID_AREAS_SOURCE_ID = "avoid-areas";
+const AVOID_AREAS_FILL_LAYER_ID = "avoid-areas-fill-layer";
+const AVOID_AREAS_LINE_LAYER_ID = "avoid-areas-line-layer";
+const AVOID_DRAFT_SOURCE_ID = "avoid-draft";
+const AVOID_DRAFT_LINE_LAYER_ID = "avoid-draft-line-layer";
+const AVOID_DRAFT_POINTS_LAYER_ID = "avoid-draft-points-layer";
+const AVOID_COLOR = "rgb(220, 53, 69)";
+
+// --- Constants for isochrones (reachability polygons under the route) ---
+const ISOCHRONES_SOURCE_ID = "isochrones";
+const ISOCHRONES_FILL_LAYER_ID = "isochrones-fill-layer";
+const ISOCHRONES_LINE_LAYER_ID = "isochrones-line-layer";
+// Innermost (shortest range) first
+const ISOCHRONE_COLORS = [
+  "rgb(26, 152, 80)",
+  "rgb(145, 207, 96)",
+  "rgb(217, 239, 139)",
+  "rgb(254, 224, 139)",
+  "rgb(252, 141, 89)",
+  "rgb(215, 48, 39)",
+];
+
+// --- Constants for points of interest (one icon layer per category) ---
+const POIS_SOURCE_ID = "pois";
+const getPoiLayerId = (category) => `pois-${category}-layer`;
+const getPoiImageId = (category) => `poi-icon-${category}`;
+
+// Round map icon for a POI category: its emoji on a circle of its color
+const createPoiIcon = ({ icon, color }) => {
+  const size = 56; // Drawn at 2x for sharp icons on high-DPI screens
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 3, 0, 2 * Math.PI);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = "white";
+  ctx.stroke();
+  ctx.font = `${size / 2}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(icon, size / 2, size / 2 + 2);
+  return ctx.getImageData(0, 0, size, size);
+};
+
+// --- Constants for the hover marker linked to the elevation profile ---
+const ROUTE_HOVER_SOURCE_ID = "route-hover-point";
+const ROUTE_HOVER_LAYER_ID = "route-hover-point-layer";
+
+function MapComponent({
+  routeGeojson,
+  startPoint,
+  endPoint,
+  viaPoints,
+  onMapClick,
+  onMarkerDrag,
+  onRouteDrag,
+  initialView, // { lng, lat, zoom } from a shared link, if any
+  viewRequest, // { lng, lat, zoom, fly? } to jump (or fly) to whenever it changes
+  onViewChange,
+  fitToRoute = true, // Zoom to each new route (off when restoring a link's view)
+  hoverIndex, // Route coordinate index hovered on the elevation profile
+  onRouteHover, // Reports the coordinate index hovered on the route line
+  routeHighlight, // { id, ranges: [[from, to], ...] } stretches to emphasize
+  onRouteHighlightChange,
+  routeAlternatives = [], // Normalized routes returned for the same request
+  selectedRouteIndex = 0, // The alternative currently shown as the route
+  onAlternativeSelect,
+  isochronesGeojson, // FeatureCollection from fetchIsochrones, or null
+  showIsochrones = true,
+  pois, // Points of interest along the route (see pois.js), or null
+  hiddenPoiCategories = [], // POI categories switched off
+  avoidAreas = [], // Polygons the route must stay out of: [[[lng, lat], ...]]
+  avoidDraft = [], // Corners of the avoid area being drawn
+  profile, // Profile id, picks the trail difficulty scale
+  difficultyThreshold, // Trail grade from which hotspots are marked, or null
+  units = DEFAULT_UNIT_SYSTEM, // Key into UNIT_SYSTEMS for popups
+}) {
+  // The component is memoized, so subscribe to language changes directly
+  const language = useLanguage();
   const mapContainerRef = useRef(null);
   const mapRef = useRef(null);
   const startMarkerRef = useRef(null);
   const endMarkerRef = useRef(null);
+  const viaMarkersRef = useRef([]); // One marker per via point, in route order
   const [mapLoaded, setMapLoaded] = useState(false);
   const [isCloudActive, setIsCloudActive] = useState(false);
+  const [routeColorMode, setRouteColorMode] = useState("plain"); // Key into ROUTE_COLOR_MODES
 
   // --- State for RainViewer ---
-  const [radarFrames, setRadarFrames] = useState([]); // Array of available { path, time }
-  const [currentRadarTimestamp, setCurrentRadarTimestamp] = useState(null);
+  const [radarFrames, setRadarFrames] = useState([]); // Past then nowcast frames: { path, time, nowcast }
+  const [radarHost, setRadarHost] = useState(null); // Tile host from the RainViewer index
+  const [radarFrameIndex, setRadarFrameIndex] = useState(0); // Frame shown on the map
+  const [isRadarPlaying, setIsRadarPlaying] = useState(false);
   const [radarError, setRadarError] = useState(null);
   const radarIntervalRef = useRef(null); // Ref to store interval ID
 
   // Initial map center/zoom (can be kept or removed if map fits bounds later)
-  const [initialLng] = useState(9.19);
-  const [initialLat] = useState(45.46);
-  const [initialZoom] = useState(9);
+  const [initialLng] = useState(initialView?.lng ?? 9.19);
+  const [initialLat] = useState(initialView?.lat ?? 45.46);
+  const [initialZoom] = useState(initialView?.zoom ?? 9);
 
   const onMapClickRef = useRef(onMapClick);
   useEffect(() => {
     onMapClickRef.current = onMapClick;
   }, [onMapClick]);
 
+  // Drag callbacks and the current route are read from map/marker event
+  // handlers that are registered once, so keep them in refs too
+  const onMarkerDragRef = useRef(onMarkerDrag);
+  const onRouteDragRef = useRef(onRouteDrag);
+  const routeGeojsonRef = useRef(routeGeojson);
+  const onViewChangeRef = useRef(onViewChange);
+  const fitToRouteRef = useRef(fitToRoute);
+  const onRouteHoverRef = useRef(onRouteHover);
+  const onAlternativeSelectRef = useRef(onAlternativeSelect);
+  const unitsRef = useRef(units);
+  useEffect(() => {
+    onAlternativeSelectRef.current = onAlternativeSelect;
+    unitsRef.current = units;
+    onRouteHoverRef.current = onRouteHover;
+    onMarkerDragRef.current = onMarkerDrag;
+    onRouteDragRef.current = onRouteDrag;
+    routeGeojsonRef.current = routeGeojson;
+    onViewChangeRef.current = onViewChange;
+    fitToRouteRef.current = fitToRoute;
+  }, [
+    onMarkerDrag,
+    onRouteDrag,
+    routeGeojson,
+    onViewChange,
+    fitToRoute,
+    onRouteHover,
+    onAlternativeSelect,
+    units,
+  ]);
+
   // --- Fetch RainViewer Data ---
+  // Past radar frames plus the short-term nowcast, in time order
   const fetchRainViewerData = useCallback(async () => {
     console.log("Fetching RainViewer data...");
     setRadarError(null);
     try {
       const response = await axios.get(RAINVIEWER_API_URL);
-      if (response.data?.radar?.past?.length > 0) {
-        const frames = response.data.radar.past;
+      const past = response.data?.radar?.past || [];
+      const nowcast = response.data?.radar?.nowcast || [];
+      if (past.length > 0) {
+        const frames = [
+          ...past.map((frame) => ({ ...frame, nowcast: false })),
+          ...nowcast.map((frame) => ({ ...frame, nowcast: true })),
+        ];
+        setRadarHost(response.data.host || "https://tilecache.rainviewer.com");
         setRadarFrames(frames);
-        // Set the latest timestamp (last in the 'past' array)
-        const latestFrame = frames[frames.length - 1];
-        setCurrentRadarTimestamp(latestFrame.time);
+        // Start on the latest observed frame (last in the 'past' array)
+        setRadarFrameIndex(past.length - 1);
         console.log(
-          "RainViewer data fetched. Latest timestamp:",
-          latestFrame.time
+          `RainViewer data fetched: ${past.length} past, ${nowcast.length} nowcast frames`
         );
       } else {
         console.warn("No past radar frames found in RainViewer response.");
         setRadarFrames([]);
-        setCurrentRadarTimestamp(null);
       }
     } catch (err) {
       console.error("Error fetching RainViewer data:", err);
-      setRadarError("Could not load radar data.");
+      setRadarError(t("radar.loadFailed"));
       setRadarFrames([]);
-      setCurrentRadarTimestamp(null);
     }
   }, []); // No dependencies, it's a stable function
 
@@ -82,12 +280,27 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
       style: "mapbox://styles/mapbox/outdoors-v12",
       center: [initialLng, initialLat],
       zoom: initialZoom,
+      preserveDrawingBuffer: true, // Keep the canvas contents so the map prints
     });
 
     mapRef.current.addControl(new mapboxgl.NavigationControl(), "top-right");
 
     const handleMapClickInternal = (e) => {
       console.log(`Map clicked at: ${e.lngLat.lng}, ${e.lngLat.lat}`);
+      // Clicks on an alternative route select it, and clicks on a difficulty
+      // hotspot describe it, instead of placing a point
+      const clickableLayers = [
+        ROUTE_ALTERNATIVES_LAYER_ID,
+        ...DIFFICULTY_HOTSPOTS_LAYER_IDS,
+      ].filter((layerId) => mapRef.current.getLayer(layerId));
+      if (
+        clickableLayers.length &&
+        mapRef.current.queryRenderedFeatures(e.point, {
+          layers: clickableLayers,
+        }).length
+      ) {
+        return;
+      }
       if (onMapClickRef.current) {
         onMapClickRef.current({ lng: e.lngLat.lng, lat: e.lngLat.lat });
       }
@@ -95,6 +308,16 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
 
     mapRef.current.on("click", handleMapClickInternal);
 
+    // Report the view after every pan/zoom so it can go into the URL
+    mapRef.current.on("moveend", () => {
+      const center = mapRef.current.getCenter();
+      onViewChangeRef.current?.({
+        lng: center.lng,
+        lat: center.lat,
+        zoom: mapRef.current.getZoom(),
+      });
+    });
+
     mapRef.current.on("load", () => {
       console.log("Map loaded successfully");
       setMapLoaded(true); // <<< Trigger loading of route and potentially radar
@@ -119,6 +342,381 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
           "line-opacity": 1,
         },
       });
+
+      // Alternative routes, clickable, underneath the selected route
+      mapRef.current.addSource(ROUTE_ALTERNATIVES_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer(
+        {
+          id: ROUTE_ALTERNATIVES_LAYER_ID,
+          type: "line",
+          source: ROUTE_ALTERNATIVES_SOURCE_ID,
+          layout: { "line-join": "round", "line-cap": "round" },
+          paint: {
+            "line-color": "rgb(142, 142, 147)",
+            "line-width": 5,
+            "line-opacity": 0.8,
+          },
+        },
+        "route"
+      );
+      mapRef.current.on("click", ROUTE_ALTERNATIVES_LAYER_ID, (e) => {
+        const index = e.features?.[0]?.properties?.index;
+        if (index === undefined) return;
+        console.log(`Alternative route ${index + 1} clicked`);
+        onAlternativeSelectRef.current?.(index);
+      });
+      mapRef.current.on("mouseenter", ROUTE_ALTERNATIVES_LAYER_ID, () => {
+        mapRef.current.getCanvas().style.cursor = "pointer";
+      });
+      mapRef.current.on("mouseleave", ROUTE_ALTERNATIVES_LAYER_ID, () => {
+        mapRef.current.getCanvas().style.cursor = "";
+      });
+
+      // Isochrones: nested reachability polygons under all route layers
+      mapRef.current.addSource(ISOCHRONES_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer(
+        {
+          id: ISOCHRONES_FILL_LAYER_ID,
+          type: "fill",
+          source: ISOCHRONES_SOURCE_ID,
+          paint: {
+            "fill-color": ["get", "color"],
+            "fill-opacity": 0.2,
+          },
+        },
+        ROUTE_ALTERNATIVES_LAYER_ID
+      );
+      mapRef.current.addLayer(
+        {
+          id: ISOCHRONES_LINE_LAYER_ID,
+          type: "line",
+          source: ISOCHRONES_SOURCE_ID,
+          paint: {
+            "line-color": ["get", "color"],
+            "line-width": 1.5,
+          },
+        },
+        ROUTE_ALTERNATIVES_LAYER_ID
+      );
+
+      // Avoid areas: translucent red polygons under all route layers
+      mapRef.current.addSource(AVOID_AREAS_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer(
+        {
+          id: AVOID_AREAS_FILL_LAYER_ID,
+          type: "fill",
+          source: AVOID_AREAS_SOURCE_ID,
+          paint: { "fill-color": AVOID_COLOR, "fill-opacity": 0.15 },
+        },
+        ROUTE_ALTERNATIVES_LAYER_ID
+      );
+      mapRef.current.addLayer(
+        {
+          id: AVOID_AREAS_LINE_LAYER_ID,
+          type: "line",
+          source: AVOID_AREAS_SOURCE_ID,
+          paint: {
+            "line-color": AVOID_COLOR,
+            "line-width": 2,
+            "line-dasharray": [2, 1],
+          },
+        },
+        ROUTE_ALTERNATIVES_LAYER_ID
+      );
+
+      // Highlighted stretches: a wide halo underneath the route line
+      mapRef.current.addSource(ROUTE_HIGHLIGHT_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer(
+        {
+          id: ROUTE_HIGHLIGHT_LAYER_ID,
+          type: "line",
+          source: ROUTE_HIGHLIGHT_SOURCE_ID,
+          layout: { "line-join": "round", "line-cap": "round" },
+          paint: {
+            "line-color": "rgb(255, 214, 0)",
+            "line-width": 16,
+            "line-opacity": 0.85,
+          },
+        },
+        "route"
+      );
+
+      // Trail difficulty hotspots: a halo in the grade's color under the
+      // route, and a grade label in the middle of each
+      mapRef.current.addSource(DIFFICULTY_HOTSPOTS_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer(
+        {
+          id: DIFFICULTY_HOTSPOTS_LINE_LAYER_ID,
+          type: "line",
+          source: DIFFICULTY_HOTSPOTS_SOURCE_ID,
+          filter: ["==", ["geometry-type"], "LineString"],
+          layout: { "line-join": "round", "line-cap": "round" },
+          paint: {
+            "line-color": ["get", "color"],
+            "line-width": 14,
+            "line-opacity": 0.6,
+          },
+        },
+        "route"
+      );
+
+      // Route split into colored stretches, drawn over the plain route line
+      mapRef.current.addSource(ROUTE_COLORED_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer({
+        id: ROUTE_COLORED_LAYER_ID,
+        type: "line",
+        source: ROUTE_COLORED_SOURCE_ID,
+        layout: { "line-join": "round", "line-cap": "round" },
+        paint: {
+          "line-color": ["get", "color"],
+          "line-width": 6,
+        },
+      });
+
+      mapRef.current.addLayer({
+        id: DIFFICULTY_HOTSPOTS_LABEL_LAYER_ID,
+        type: "symbol",
+        source: DIFFICULTY_HOTSPOTS_SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Point"],
+        layout: {
+          "text-field": ["get", "grade"],
+          "text-font": ["DIN Pro Bold", "Arial Unicode MS Bold"],
+          "text-size": 12,
+          "text-allow-overlap": true,
+        },
+        paint: {
+          "text-color": "white",
+          "text-halo-color": ["get", "color"],
+          "text-halo-width": 3,
+        },
+      });
+      DIFFICULTY_HOTSPOTS_LAYER_IDS.forEach((layerId) => {
+        mapRef.current.on("click", layerId, (e) => {
+          const hotspot = e.features?.[0]?.properties;
+          if (!hotspot) return;
+          const content = document.createElement("div");
+          const title = document.createElement("strong");
+          title.textContent = getTrailDifficultyName(
+            hotspot.value,
+            hotspot.profile
+          );
+          content.append(
+            title,
+            document.createElement("br"),
+            t("difficulty.hotspot", {
+              length: formatDistance(hotspot.length, unitsRef.current),
+              distance: formatDistance(hotspot.distanceAlong, unitsRef.current),
+            })
+          );
+          new mapboxgl.Popup({ offset: 10 })
+            .setLngLat(e.lngLat)
+            .setDOMContent(content)
+            .addTo(mapRef.current);
+        });
+        mapRef.current.on("mouseenter", layerId, () => {
+          mapRef.current.getCanvas().style.cursor = "pointer";
+        });
+        mapRef.current.on("mouseleave", layerId, () => {
+          mapRef.current.getCanvas().style.cursor = "";
+        });
+      });
+
+      // Ghost point shown while the route line is being dragged
+      mapRef.current.addSource(ROUTE_DRAG_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer({
+        id: ROUTE_DRAG_LAYER_ID,
+        type: "circle",
+        source: ROUTE_DRAG_SOURCE_ID,
+        paint: {
+          "circle-radius": 7,
+          "circle-color": "white",
+          "circle-stroke-color": "rgb(51, 51, 51)",
+          "circle-stroke-width": 2,
+        },
+      });
+
+      // Marker for the point hovered on the map or the elevation profile
+      mapRef.current.addSource(ROUTE_HOVER_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer({
+        id: ROUTE_HOVER_LAYER_ID,
+        type: "circle",
+        source: ROUTE_HOVER_SOURCE_ID,
+        paint: {
+          "circle-radius": 6,
+          "circle-color": "rgb(255, 149, 0)",
+          "circle-stroke-color": "white",
+          "circle-stroke-width": 2,
+        },
+      });
+
+      // Outline of the avoid area being drawn, with its corners
+      mapRef.current.addSource(AVOID_DRAFT_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      mapRef.current.addLayer({
+        id: AVOID_DRAFT_LINE_LAYER_ID,
+        type: "line",
+        source: AVOID_DRAFT_SOURCE_ID,
+        filter: ["==", ["geometry-type"], "LineString"],
+        paint: {
+          "line-color": AVOID_COLOR,
+          "line-width": 2,
+          "line-dasharray": [2, 1],
+        },
+      });
+      mapRef.current.addLayer({
+        id: AVOID_DRAFT_POINTS_LAYER_ID,
+        type: "circle",
+        source: AVOID_DRAFT_SOURCE_ID,
+        filter: ["==", ["geometry-type"], "Point"],
+        paint: {
+          "circle-radius": 4,
+          "circle-color": "white",
+          "circle-stroke-color": AVOID_COLOR,
+          "circle-stroke-width": 2,
+        },
+      });
+
+      // Points of interest, above everything route related
+      mapRef.current.addSource(POIS_SOURCE_ID, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      Object.entries(POI_CATEGORIES).forEach(([category, definition]) => {
+        mapRef.current.addImage(
+          getPoiImageId(category),
+          createPoiIcon(definition),
+          { pixelRatio: 2 }
+        );
+        const layerId = getPoiLayerId(category);
+        mapRef.current.addLayer({
+          id: layerId,
+          type: "symbol",
+          source: POIS_SOURCE_ID,
+          filter: ["==", ["get", "category"], category],
+          layout: {
+            "icon-image": getPoiImageId(category),
+            "icon-allow-overlap": true,
+          },
+        });
+        mapRef.current.on("click", layerId, (e) => {
+          const poi = e.features?.[0]?.properties;
+          if (!poi) return;
+          // Names come from OSM, so build the popup as text rather than HTML
+          const content = document.createElement("div");
+          const title = document.createElement("strong");
+          title.textContent = poi.name || t(definition.labelKey);
+          content.append(
+            title,
+            document.createElement("br"),
+            t("poi.alongRoute", {
+              category: t(definition.labelKey),
+              distance: formatDistance(poi.distanceAlong, unitsRef.current),
+            })
+          );
+          new mapboxgl.Popup({ offset: 14 })
+            .setLngLat(e.lngLat)
+            .setDOMContent(content)
+            .addTo(mapRef.current);
+        });
+        mapRef.current.on("mouseenter", layerId, () => {
+          mapRef.current.getCanvas().style.cursor = "pointer";
+        });
+        mapRef.current.on("mouseleave", layerId, () => {
+          mapRef.current.getCanvas().style.cursor = "";
+        });
+      });
+
+      // --- Drag the route line to insert a via point ---
+      const map = mapRef.current;
+      const setDragPoint = (lngLat) => {
+        map.getSource(ROUTE_DRAG_SOURCE_ID)?.setData({
+          type: "FeatureCollection",
+          features: lngLat
+            ? [
+                {
+                  type: "Feature",
+                  properties: {},
+                  geometry: {
+                    type: "Point",
+                    coordinates: [lngLat.lng, lngLat.lat],
+                  },
+                },
+              ]
+            : [],
+        });
+      };
+
+      map.on("mouseenter", "route", () => {
+        map.getCanvas().style.cursor = "move";
+      });
+      map.on("mouseleave", "route", () => {
+        map.getCanvas().style.cursor = "";
+        onRouteHoverRef.current?.(null);
+      });
+
+      // --- Hover the route line to follow along on the elevation profile ---
+      map.on("mousemove", "route", (e) => {
+        const coordinates =
+          routeGeojsonRef.current?.features?.[0]?.geometry?.coordinates;
+        if (!coordinates?.length) return;
+        onRouteHoverRef.current?.(
+          findNearestCoordinateIndex(coordinates, e.lngLat)
+        );
+      });
+
+      map.on("mousedown", "route", (e) => {
+        const feature = routeGeojsonRef.current?.features?.[0];
+        const coordinates = feature?.geometry?.coordinates;
+        if (!coordinates?.length || !onRouteDragRef.current) return;
+        e.preventDefault(); // Keep the map from panning while dragging
+
+        // Work out which leg was grabbed from the input waypoint indices
+        const grabbedIndex = findNearestCoordinateIndex(coordinates, e.lngLat);
+        const wayPoints = feature.properties?.way_points || [];
+        const legIndex = wayPoints
+          .slice(1, -1)
+          .filter((wayPointIndex) => wayPointIndex <= grabbedIndex).length;
+
+        const handleMouseMove = (moveEvent) => setDragPoint(moveEvent.lngLat);
+        map.on("mousemove", handleMouseMove);
+        map.once("mouseup", (upEvent) => {
+          map.off("mousemove", handleMouseMove);
+          setDragPoint(null);
+          // Ignore clicks on the line that did not actually move it
+          if (upEvent.point.dist(e.point) < 5) return;
+          console.log(`Route dragged on leg ${legIndex} to:`, upEvent.lngLat);
+          onRouteDragRef.current?.(
+            { lng: upEvent.lngLat.lng, lat: upEvent.lngLat.lat },
+            legIndex
+          );
+        });
+      });
     });
 
     // Cleanup
@@ -135,103 +733,84 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
     };
   }, [initialLng, initialLat, initialZoom]); // Include stable initial values
 
-  // --- Effect to Handle Radar Layer Visibility and Updates ---
+  // --- Effect to Fetch Radar Data and Refresh it Periodically ---
   useEffect(() => {
-    if (!mapLoaded || !mapRef.current) return; // Need map to be loaded
+    if (!mapLoaded || !isCloudActive) return;
+    fetchRainViewerData();
+    radarIntervalRef.current = setInterval(
+      fetchRainViewerData,
+      RADAR_REFRESH_INTERVAL
+    );
+    console.log("Radar refresh interval started.");
+    return () => {
+      clearInterval(radarIntervalRef.current);
+      radarIntervalRef.current = null;
+      setIsRadarPlaying(false);
+      console.log("Radar refresh interval stopped.");
+    };
+  }, [mapLoaded, isCloudActive, fetchRainViewerData]);
 
+  // --- Effect to Add one Radar Layer per Frame ---
+  // Every frame gets its own (transparent) layer so its tiles are loaded up
+  // front; playback then only changes opacities and never waits for tiles.
+  useEffect(() => {
+    if (!mapLoaded || !mapRef.current || !isCloudActive) return;
+    if (!radarFrames.length || !radarHost) return;
     const map = mapRef.current;
 
-    // Function to add or update the radar layer
-    const manageRadarLayer = () => {
-      if (isCloudActive && currentRadarTimestamp) {
-        const tileUrl = `https://tilecache.rainviewer.com/v2/radar/${currentRadarTimestamp}/512/{z}/{x}/{y}/2/1_1.png`; // Size 512, scheme 2, options smooth+snow
-
-        // Remove existing source/layer first to ensure clean update
-        if (map.getLayer(RADAR_LAYER_ID)) {
-          map.removeLayer(RADAR_LAYER_ID);
-        }
-        if (map.getSource(RADAR_SOURCE_ID)) {
-          map.removeSource(RADAR_SOURCE_ID);
-        }
-
-        // Add new source and layer
-        map.addSource(RADAR_SOURCE_ID, {
+    removeRadarFrames(map); // Leftovers from an earlier set of frames
+    radarFrames.forEach((frame, index) => {
+      map.addSource(getRadarSourceId(index), {
+        type: "raster",
+        tiles: [`${radarHost}${frame.path}/512/{z}/{x}/{y}/2/1_1.png`], // Size 512, scheme 2, options smooth+snow
+        tileSize: 512, // Use 512 for RainViewer's higher resolution tiles
+        // attribution: '<a href="https://www.rainviewer.com/" target="_blank">RainViewer</a>', // Optional attribution
+      });
+      map.addLayer(
+        {
+          id: getRadarLayerId(index),
           type: "raster",
-          tiles: [tileUrl],
-          tileSize: 512, // Use 512 for RainViewer's higher resolution tiles
-          // attribution: '<a href="https://www.rainviewer.com/" target="_blank">RainViewer</a>', // Optional attribution
-        });
-
-        map.addLayer(
-          {
-            id: RADAR_LAYER_ID,
-            type: "raster",
-            source: RADAR_SOURCE_ID,
-            paint: {
-              "raster-opacity": 0.7, // Adjust opacity as needed
-            },
+          source: getRadarSourceId(index),
+          paint: {
+            "raster-opacity": 0,
+            "raster-fade-duration": 0, // Switch frames instantly
           },
-          "route"
-        ); // <<< Add radar layer *below* the 'route' layer
+        },
+        ISOCHRONES_FILL_LAYER_ID
+      ); // <<< Add radar layers *below* everything route related
+    });
+    console.log(`Radar layers added for ${radarFrames.length} frames`);
 
-        console.log(
-          `Radar layer added/updated for timestamp: ${currentRadarTimestamp}`
-        );
-      } else {
-        // Remove layer and source if cloud is inactive or no timestamp
-        if (map.getLayer(RADAR_LAYER_ID)) {
-          map.removeLayer(RADAR_LAYER_ID);
-          console.log("Radar layer removed.");
-        }
-        if (map.getSource(RADAR_SOURCE_ID)) {
-          map.removeSource(RADAR_SOURCE_ID);
-          console.log("Radar source removed.");
-        }
-      }
+    // Cleanup: remove this set of frames when they are replaced or hidden,
+    // even while their tiles are still loading
+    return () => {
+      if (!mapRef.current) return; // Map already removed on unmount
+      removeRadarFrames(mapRef.current);
+      console.log("Radar layers removed.");
     };
+  }, [mapLoaded, isCloudActive, radarFrames, radarHost]);
 
-    // Manage layer based on current state
-    manageRadarLayer();
-
-    // Set up or clear the refresh interval
-    if (isCloudActive) {
-      // Fetch immediately if activating and no data/timestamp yet
-      if (!currentRadarTimestamp) {
-        fetchRainViewerData();
-      }
-      // Clear any existing interval before setting a new one
-      if (radarIntervalRef.current) {
-        clearInterval(radarIntervalRef.current);
-      }
-      // Start interval to fetch new data periodically
-      radarIntervalRef.current = setInterval(
-        fetchRainViewerData,
-        RADAR_REFRESH_INTERVAL
+  // --- Effect to Show the Selected Radar Frame ---
+  useEffect(() => {
+    if (!mapLoaded || !mapRef.current || !isCloudActive) return;
+    radarFrames.forEach((_, index) => {
+      if (!mapRef.current.getLayer(getRadarLayerId(index))) return;
+      mapRef.current.setPaintProperty(
+        getRadarLayerId(index),
+        "raster-opacity",
+        index === radarFrameIndex ? RADAR_OPACITY : 0
       );
-      console.log("Radar refresh interval started.");
-    } else {
-      // Clear interval if cloud becomes inactive
-      if (radarIntervalRef.current) {
-        clearInterval(radarIntervalRef.current);
-        radarIntervalRef.current = null;
-        console.log("Radar refresh interval stopped.");
-      }
-    }
+    });
+  }, [mapLoaded, isCloudActive, radarFrames, radarFrameIndex]);
 
-    // Cleanup specific to this effect: Remove layer/source if effect re-runs or unmounts while active
-    return () => {
-      if (mapRef.current && mapRef.current.isStyleLoaded()) {
-        // Check if map style still exists
-        if (mapRef.current.getLayer(RADAR_LAYER_ID)) {
-          mapRef.current.removeLayer(RADAR_LAYER_ID);
-        }
-        if (mapRef.current.getSource(RADAR_SOURCE_ID)) {
-          mapRef.current.removeSource(RADAR_SOURCE_ID);
-        }
-      }
-      // Interval cleanup is handled in the main unmount effect and when isCloudActive changes
-    };
-  }, [mapLoaded, isCloudActive, currentRadarTimestamp, fetchRainViewerData]); // Dependencies trigger layer updates
+  // --- Effect to Play the Radar Timeline in a Loop ---
+  useEffect(() => {
+    if (!isRadarPlaying || radarFrames.length < 2) return;
+    const timer = setInterval(() => {
+      setRadarFrameIndex((index) => (index + 1) % radarFrames.length);
+    }, RADAR_PLAYBACK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isRadarPlaying, radarFrames]);
 
   // --- Effect to Update Route --- (Keep this as it is)
   useEffect(() => {
@@ -244,6 +823,7 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
       if (routeGeojson?.features?.length > 0) {
         source.setData(routeGeojson);
         console.log("Route source updated on map.");
+        if (!fitToRouteRef.current) return; // Keep the view from the shared link
         try {
           const coordinates = routeGeojson.features[0].geometry.coordinates;
           if (coordinates.length > 0) {
@@ -268,6 +848,285 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
     }
   }, [routeGeojson, mapLoaded]);
 
+  // --- Effect to Color the Route by the selected extra ---
+  const colorMode = ROUTE_COLOR_MODES[routeColorMode];
+  const routeExtras = routeGeojson?.features?.[0]?.properties?.extras;
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const coordinates = routeGeojson?.features?.[0]?.geometry?.coordinates;
+    const values = colorMode.extra
+      ? routeExtras?.[colorMode.extra]?.values
+      : null;
+    mapRef.current
+      .getSource(ROUTE_COLORED_SOURCE_ID)
+      ?.setData(
+        values && coordinates
+          ? buildExtraSegmentsGeojson(coordinates, values, colorMode.colors)
+          : { type: "FeatureCollection", features: [] }
+      );
+  }, [routeGeojson, routeExtras, colorMode, mapLoaded]);
+
+  // --- Effect to Draw Isochrones, largest range at the bottom ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const features = [...(isochronesGeojson?.features || [])].sort(
+      (a, b) => a.properties.value - b.properties.value
+    );
+    mapRef.current.getSource(ISOCHRONES_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: features
+        .map((feature, index) => ({
+          ...feature,
+          properties: {
+            ...feature.properties,
+            color:
+              ISOCHRONE_COLORS[Math.min(index, ISOCHRONE_COLORS.length - 1)],
+          },
+        }))
+        .reverse(),
+    });
+  }, [isochronesGeojson, mapLoaded]);
+
+  // --- Effect to Toggle the Isochrone Layers ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const visibility = showIsochrones ? "visible" : "none";
+    [ISOCHRONES_FILL_LAYER_ID, ISOCHRONES_LINE_LAYER_ID].forEach((layerId) => {
+      if (mapRef.current.getLayer(layerId)) {
+        mapRef.current.setLayoutProperty(layerId, "visibility", visibility);
+      }
+    });
+  }, [showIsochrones, mapLoaded]);
+
+  // --- Effect to Draw Avoid Areas ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    mapRef.current.getSource(AVOID_AREAS_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: avoidAreas.map((area) => ({
+        type: "Feature",
+        properties: {},
+        geometry: { type: "Polygon", coordinates: [toClosedRing(area)] },
+      })),
+    });
+  }, [avoidAreas, mapLoaded]);
+
+  // --- Effect to Draw the Avoid Area in Progress (closed once it has 3 corners) ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const outline =
+      avoidDraft.length >= 3 ? toClosedRing(avoidDraft) : avoidDraft;
+    mapRef.current.getSource(AVOID_DRAFT_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: [
+        ...(outline.length >= 2
+          ? [
+              {
+                type: "Feature",
+                properties: {},
+                geometry: { type: "LineString", coordinates: outline },
+              },
+            ]
+          : []),
+        ...avoidDraft.map((corner) => ({
+          type: "Feature",
+          properties: {},
+          geometry: { type: "Point", coordinates: corner },
+        })),
+      ],
+    });
+  }, [avoidDraft, mapLoaded]);
+
+  // --- Effect to Draw Points of Interest ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    mapRef.current.getSource(POIS_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: (pois || []).map((poi) => ({
+        type: "Feature",
+        properties: {
+          category: poi.category,
+          name: poi.name,
+          distanceAlong: poi.distanceAlong,
+        },
+        geometry: { type: "Point", coordinates: [poi.lng, poi.lat] },
+      })),
+    });
+  }, [pois, mapLoaded]);
+
+  // --- Effect to Toggle POI Categories ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    Object.keys(POI_CATEGORIES).forEach((category) => {
+      const layerId = getPoiLayerId(category);
+      if (!mapRef.current.getLayer(layerId)) return;
+      mapRef.current.setLayoutProperty(
+        layerId,
+        "visibility",
+        hiddenPoiCategories.includes(category) ? "none" : "visible"
+      );
+    });
+  }, [hiddenPoiCategories, mapLoaded]);
+
+  // --- Effect to Draw the Alternative Routes that are not selected ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    mapRef.current.getSource(ROUTE_ALTERNATIVES_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: routeAlternatives
+        .map((route, index) => ({
+          type: "Feature",
+          properties: { index },
+          geometry: route.geometry,
+        }))
+        .filter((feature) => feature.properties.index !== selectedRouteIndex),
+    });
+  }, [routeAlternatives, selectedRouteIndex, mapLoaded]);
+
+  // --- Effect to Draw Highlighted Stretches ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const coordinates = routeGeojson?.features?.[0]?.geometry?.coordinates;
+    mapRef.current
+      .getSource(ROUTE_HIGHLIGHT_SOURCE_ID)
+      ?.setData(buildRangesGeojson(coordinates || [], routeHighlight?.ranges));
+  }, [routeHighlight, routeGeojson, mapLoaded]);
+
+  // --- Effect to Zoom to a New Highlight (not on route changes) ---
+  useEffect(() => {
+    if (!mapRef.current || !routeHighlight?.ranges?.length) return;
+    const coordinates =
+      routeGeojsonRef.current?.features?.[0]?.geometry?.coordinates || [];
+    const highlightedCoords = routeHighlight.ranges.flatMap(([from, to]) =>
+      coordinates.slice(from, to + 1)
+    );
+    if (highlightedCoords.length === 0) return;
+    const bounds = highlightedCoords.reduce(
+      (bounds, coord) => bounds.extend([coord[0], coord[1]]),
+      new mapboxgl.LngLatBounds(
+        [highlightedCoords[0][0], highlightedCoords[0][1]],
+        [highlightedCoords[0][0], highlightedCoords[0][1]]
+      )
+    );
+    mapRef.current.fitBounds(bounds, { padding: 120, maxZoom: 16 });
+  }, [routeHighlight]);
+
+  // Clicking a map legend entry highlights that class, clicking again clears it
+  const handleLegendClick = (value) => {
+    if (!onRouteHighlightChange) return;
+    const id = `${colorMode.extra}:${value}`;
+    onRouteHighlightChange(
+      routeHighlight?.id === id
+        ? null
+        : { id, ranges: getExtraRanges(routeExtras, colorMode.extra, value) }
+    );
+  };
+
+  // Only offer modes the current route has data for
+  const isColorModeAvailable = (mode) =>
+    !ROUTE_COLOR_MODES[mode].extra ||
+    Boolean(routeExtras?.[ROUTE_COLOR_MODES[mode].extra]?.values?.length);
+
+  // --- Hover Marker linked to the Elevation Profile ---
+  const routeProfile = useMemo(
+    () =>
+      computeElevationProfile(
+        routeGeojson?.features?.[0]?.geometry?.coordinates || []
+      ),
+    [routeGeojson]
+  );
+  const hoverPopupRef = useRef(null);
+
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const map = mapRef.current;
+    const coordinates = routeGeojson?.features?.[0]?.geometry?.coordinates;
+    const coord =
+      hoverIndex !== null && hoverIndex !== undefined
+        ? coordinates?.[hoverIndex]
+        : null;
+
+    map.getSource(ROUTE_HOVER_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: coord
+        ? [
+            {
+              type: "Feature",
+              properties: {},
+              geometry: { type: "Point", coordinates: [coord[0], coord[1]] },
+            },
+          ]
+        : [],
+    });
+
+    if (!coord) {
+      hoverPopupRef.current?.remove();
+      hoverPopupRef.current = null;
+      return;
+    }
+    if (!hoverPopupRef.current) {
+      hoverPopupRef.current = new mapboxgl.Popup({
+        closeButton: false,
+        closeOnClick: false,
+        offset: 12,
+        className: "route-hover-popup",
+      });
+    }
+    hoverPopupRef.current
+      .setLngLat([coord[0], coord[1]])
+      .setHTML(
+        `<strong>${formatDistance(
+          routeProfile.distances[hoverIndex],
+          units
+        )}</strong> · ${formatElevation(
+          routeProfile.elevations[hoverIndex],
+          units
+        )} · ${formatGrade(routeProfile.grades[hoverIndex])}`
+      )
+      .addTo(map);
+  }, [hoverIndex, routeGeojson, routeProfile, mapLoaded, units, language]);
+
+  // --- Effect to Mark Trail Difficulty Hotspots ---
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return;
+    const coordinates = routeGeojson?.features?.[0]?.geometry?.coordinates;
+    const values = routeExtras?.traildifficulty?.values;
+    mapRef.current
+      .getSource(DIFFICULTY_HOTSPOTS_SOURCE_ID)
+      ?.setData(
+        values &&
+          coordinates &&
+          difficultyThreshold &&
+          getTrailDifficultyScale(profile)
+          ? buildDifficultyHotspotsGeojson(
+              coordinates,
+              routeProfile.distances,
+              values,
+              difficultyThreshold,
+              profile
+            )
+          : { type: "FeatureCollection", features: [] }
+      );
+  }, [
+    routeGeojson,
+    routeExtras,
+    routeProfile,
+    difficultyThreshold,
+    profile,
+    mapLoaded,
+  ]);
+
+  // --- Effect to Jump to a Requested View (e.g. browser back/forward) ---
+  useEffect(() => {
+    if (!mapRef.current || !viewRequest) return;
+    const camera = {
+      center: [viewRequest.lng, viewRequest.lat],
+      zoom: viewRequest.zoom,
+    };
+    if (viewRequest.fly) mapRef.current.flyTo(camera);
+    else mapRef.current.jumpTo(camera);
+  }, [viewRequest]);
+
   // --- Marker Creation Functions --- (Keep these as they are)
   const createStartMarkerElement = () => {
     const markerElement = document.createElement("div");
@@ -311,40 +1170,93 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
     return markerElement;
   };
 
-  // --- Effect to Update Start/End Markers --- (Keep this as it is)
+  // Numbered marker for via points, smaller than start/end so the ends stand out
+  const createViaMarkerElement = (number) => {
+    const markerElement = document.createElement("div");
+    markerElement.style.width = "26px";
+    markerElement.style.height = "26px";
+    markerElement.style.display = "flex";
+    markerElement.style.justifyContent = "center";
+    markerElement.style.alignItems = "center";
+    markerElement.style.borderRadius = "50%";
+    markerElement.style.backgroundColor = "white";
+    markerElement.style.border = "2px solid rgb(51, 51, 51)";
+    markerElement.style.boxShadow = "0 2px 6px rgba(0,0,0,0.3)";
+    markerElement.style.cursor = "pointer";
+    markerElement.style.fontSize = "13px";
+    markerElement.style.fontWeight = "bold";
+    markerElement.style.color = "rgb(51, 51, 51)";
+    markerElement.textContent = String(number);
+    return markerElement;
+  };
+
+  // --- Effect to Update Start/End/Via Markers ---
   useEffect(() => {
     if (!mapRef.current || !mapLoaded) return;
     // Remove previous markers
     startMarkerRef.current?.remove();
     endMarkerRef.current?.remove();
+    viaMarkersRef.current.forEach((marker) => marker.remove());
     startMarkerRef.current = null;
     endMarkerRef.current = null;
+    viaMarkersRef.current = [];
 
-    // Add new start marker
-    if (startPoint) {
-      console.log("Adding start marker at:", startPoint);
-      const startElement = createStartMarkerElement();
-      startMarkerRef.current = new mapboxgl.Marker({
-        element: startElement,
+    // All markers are draggable; dropping one reports its new position
+    const addDraggableMarker = (element, point, kind, index) => {
+      const marker = new mapboxgl.Marker({
+        element,
         anchor: "center",
+        draggable: true,
       })
-        .setLngLat([startPoint.lng, startPoint.lat])
+        .setLngLat([point.lng, point.lat])
         .addTo(mapRef.current);
+      marker.on("dragend", () => {
+        const { lng, lat } = marker.getLngLat();
+        console.log(`${kind} marker dropped at: ${lng}, ${lat}`);
+        onMarkerDragRef.current?.(kind, index, { lng, lat });
+      });
+      return marker;
+    };
+
+    // Add new start marker
+    if (startPoint) {
+      console.log("Adding start marker at:", startPoint);
+      startMarkerRef.current = addDraggableMarker(
+        createStartMarkerElement(),
+        startPoint,
+        "start"
+      );
     }
     // Add new end marker
     if (endPoint) {
       console.log("Adding end marker at:", endPoint);
-      const endElement = createEndMarkerElement();
-      endMarkerRef.current = new mapboxgl.Marker({
-        element: endElement,
-        anchor: "center",
-      })
-        .setLngLat([endPoint.lng, endPoint.lat])
-        .addTo(mapRef.current);
+      endMarkerRef.current = addDraggableMarker(
+        createEndMarkerElement(),
+        endPoint,
+        "end"
+      );
     }
-  }, [startPoint, endPoint, mapLoaded]);
+    // Add numbered via markers (1-based, matching the list in the route card)
+    (viaPoints || []).forEach((point, index) => {
+      viaMarkersRef.current.push(
+        addDraggableMarker(
+          createViaMarkerElement(index + 1),
+          point,
+          "via",
+          index
+        )
+      );
+    });
+  }, [startPoint, endPoint, viaPoints, mapLoaded]);
 
   // --- Cloud Button Click Handler ---
+  // "14:20", marked as a forecast for nowcast frames
+  const formatRadarTime = (frame) => {
+    if (!frame) return "";
+    const time = formatTime(frame.time);
+    return frame.nowcast ? t("radar.forecastTime", { time }) : time;
+  };
+
   const handleCloudClick = () => {
     setIsCloudActive((prev) => !prev);
     // Note: The useEffect hook listening to `isCloudActive` will handle
@@ -371,6 +1283,7 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
           zIndex: 10,
           display: "flex",
           flexDirection: "column",
+          alignItems: "flex-end", // Keep the button in place under a wide timeline
           gap: "10px",
         }}
       >
@@ -389,9 +1302,9 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
             width: "40px",
             height: "40px",
           }}
-          title={isCloudActive ? "Hide Radar" : "Show Radar"}
+          title={isCloudActive ? t("radar.hide") : t("radar.show")}
           aria-label={
-            isCloudActive ? "Hide weather radar" : "Show weather radar"
+            isCloudActive ? t("radar.hideLabel") : t("radar.showLabel")
           }
           aria-pressed={isCloudActive}
         >
@@ -411,6 +1324,37 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
             <path d="M400 240c-8.89-89.54-71-144-144-144-69 0-113.44 48.2-128 96-60 6-112 43.59-112 112 0 66 54 112 120 112h260c58 0 100-50 100-104 0-57-41-100-100-112a16 16 0 00-4-16z" />
           </svg>
         </button>
+        {/* Radar Timeline: scrub or play past and nowcast frames */}
+        {isCloudActive && radarFrames.length > 0 && (
+          <div className="radar-timeline">
+            <button
+              onClick={() => setIsRadarPlaying((prev) => !prev)}
+              title={isRadarPlaying ? t("radar.pause") : t("radar.play")}
+              aria-label={
+                isRadarPlaying ? t("radar.pauseLabel") : t("radar.playLabel")
+              }
+            >
+              {isRadarPlaying ? "❚❚" : "▶"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={radarFrames.length - 1}
+              value={Math.min(radarFrameIndex, radarFrames.length - 1)}
+              onChange={(e) => {
+                setIsRadarPlaying(false);
+                setRadarFrameIndex(Number(e.target.value));
+              }}
+            />
+            <span
+              className={`radar-time${
+                radarFrames[radarFrameIndex]?.nowcast ? " nowcast" : ""
+              }`}
+            >
+              {formatRadarTime(radarFrames[radarFrameIndex])}
+            </span>
+          </div>
+        )}
         {/* Display error if radar fetching fails */}
         {radarError && isCloudActive && (
           <div
@@ -428,6 +1372,59 @@ function MapComponent({ routeGeojson, startPoint, endPoint, onMapClick }) {
           </div>
         )}
       </div>
+
+      {/* Route Color Mode + Legend */}
+      {routeGeojson?.features?.length > 0 && (
+        <div className="route-color-control">
+          <label>
+            {t("map.routeColor")}{" "}
+            <select
+              value={routeColorMode}
+              onChange={(e) => setRouteColorMode(e.target.value)}
+            >
+              {Object.entries(ROUTE_COLOR_MODES).map(([mode, { labelKey }]) => (
+                <option
+                  key={mode}
+                  value={mode}
+                  disabled={!isColorModeAvailable(mode)}
+                >
+                  {t(labelKey)}
+                </option>
+              ))}
+            </select>
+          </label>
+          {colorMode.extra && isColorModeAvailable(routeColorMode) && (
+            <ul className="map-legend">
+              {Object.entries(colorMode.types)
+                .filter(([value]) =>
+                  getExtraValuesPresent(routeExtras, colorMode.extra).has(value)
+                )
+                .sort(([a], [b]) => Number(a) - Number(b))
+                .map(([value, nameKey]) => (
+                  <li
+                    key={value}
+                    onClick={() => handleLegendClick(value)}
+                    className={
+                      routeHighlight?.id === `${colorMode.extra}:${value}`
+                        ? "selected"
+                        : ""
+                    }
+                    title={t("map.highlight")}
+                  >
+                    <span
+                      className="color-box"
+                      style={{
+                        backgroundColor:
+                          colorMode.colors[value] || colorMode.colors.default,
+                      }}
+                    />
+                    {t(nameKey)}
+                  </li>
+                ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,101 @@
+// src/PlaceSearch.jsx
+import React, { useState, useEffect, useRef } from "react";
+import "./PlaceSearch.css";
+import { searchPlaces } from "./geocoding";
+import { t } from "./i18n";
+
+// Wait this long after the last keystroke before asking the geocoder
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 3;
+
+// --- Place Search Box ---
+// onShowPlace(place): a result was picked, fly the map there
+// onAssignPlace(place, kind): use a result as the 'start', 'end' or 'via' point
+// assignKinds: which of those the planner currently accepts
+// focus: { lng, lat } to rank nearby results first (e.g. the map center)
+function PlaceSearch({ onShowPlace, onAssignPlace, assignKinds, focus }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  // focus only ranks results; read it from a ref so a map move alone does
+  // not search again
+  const focusRef = useRef(focus);
+  useEffect(() => {
+    focusRef.current = focus;
+  }, [focus]);
+
+  // --- Debounced autocomplete ---
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+    let cancelled = false; // Ignore answers to queries typed over since
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      setSearchError(null);
+      try {
+        const places = await searchPlaces(text, { focus: focusRef.current });
+        if (!cancelled) setResults(places);
+      } catch (err) {
+        console.error("Error searching places:", err);
+        if (!cancelled) setSearchError(t("placeSearch.failed"));
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const handleAssign = (place, kind) => {
+    onAssignPlace(place, kind);
+    setQuery("");
+    setResults([]);
+  };
+
+  return (
+    <div className="place-search">
+      <input
+        type="search"
+        placeholder={t("placeSearch.placeholder")}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {isSearching && <span className="place-search-status">…</span>}
+      {searchError && <p className="place-search-error">{searchError}</p>}
+      {results.length > 0 && (
+        <ul className="place-results">
+          {results.map((place) => (
+            <li key={place.id}>
+              <button
+                className="place-label"
+                onClick={() => onShowPlace(place)}
+                title={t("placeSearch.showOnMap")}
+              >
+                {place.label}
+              </button>
+              {assignKinds.map((kind) => (
+                <button
+                  key={kind}
+                  className="place-assign"
+                  onClick={() => handleAssign(place, kind)}
+                >
+                  {t(`common.${kind}`)}
+                </button>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PlaceSearch;
@@ -0,0 +1,108 @@
+// src/PoiList.jsx
+import React from "react";
+import "./PoiList.css";
+import { formatDistance } from "./formatters";
+import { POI_CATEGORIES, POI_BUFFER_OPTIONS } from "./pois";
+import { t } from "./i18n";
+
+// --- Points of Interest along the route ---
+// pois: null until searched, then [{ id, category, name, distanceAlong, offset }]
+// hiddenCategories: categories switched off on the map and in the list
+function PoiList({
+  pois,
+  buffer,
+  onBufferChange,
+  onSearch,
+  isLoading,
+  error,
+  hiddenCategories,
+  onToggleCategory,
+  onPoiClick,
+  units,
+}) {
+  const countByCategory = (pois || []).reduce((counts, poi) => {
+    counts[poi.category] = (counts[poi.category] || 0) + 1;
+    return counts;
+  }, {});
+  const visiblePois = (pois || []).filter(
+    (poi) => !hiddenCategories.includes(poi.category)
+  );
+
+  return (
+    <div className="poi-list">
+      <div className="poi-header">
+        <span className="poi-title">{t("poi.title")}</span>
+        <label>
+          {t("poi.within")}{" "}
+          <select
+            value={buffer}
+            onChange={(e) => onBufferChange(Number(e.target.value))}
+          >
+            {POI_BUFFER_OPTIONS.map((meters) => (
+              <option key={meters} value={meters}>
+                {formatDistance(meters, units)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={onSearch} disabled={isLoading}>
+          {isLoading
+            ? t("poi.searching")
+            : pois
+            ? t("poi.refresh")
+            : t("poi.find")}
+        </button>
+      </div>
+      {error && <p className="poi-error">{error}</p>}
+
+      {pois && (
+        <div className="poi-categories">
+          {Object.entries(POI_CATEGORIES).map(
+            ([category, { labelKey, icon }]) => (
+              <button
+                key={category}
+                className={`poi-category${
+                  hiddenCategories.includes(category) ? " hidden" : ""
+                }`}
+                onClick={() => onToggleCategory(category)}
+                title={t("poi.toggleCategory", { category: t(labelKey) })}
+              >
+                {icon} {t(labelKey)} ({countByCategory[category] || 0})
+              </button>
+            )
+          )}
+        </div>
+      )}
+
+      {pois && pois.length === 0 && (
+        <p className="poi-empty">{t("poi.nothingFound")}</p>
+      )}
+      {visiblePois.length > 0 && (
+        <ul className="poi-items">
+          {visiblePois.map((poi) => {
+            const category = POI_CATEGORIES[poi.category];
+            return (
+              <li key={poi.id} onClick={() => onPoiClick?.(poi)}>
+                <span className="poi-icon">{category.icon}</span>
+                <span className="poi-name">
+                  {poi.name || t(category.labelKey)}
+                </span>
+                <span className="poi-distance">
+                  {formatDistance(poi.distanceAlong, units)}
+                  <small>
+                    {" "}
+                    {t("poi.offRoute", {
+                      distance: formatDistance(poi.offset, units),
+                    })}
+                  </small>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PoiList;
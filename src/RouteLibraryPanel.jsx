@@ -0,0 +1,225 @@
+// src/RouteLibraryPanel.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import "./RouteLibraryPanel.css";
+import { formatDistance, formatDuration, formatElevation } from "./formatters";
+import { t } from "./i18n";
+import {
+  listSavedRoutes,
+  saveRoute,
+  updateSavedRoute,
+  duplicateSavedRoute,
+  deleteSavedRoute,
+  parseTags,
+} from "./routeLibrary";
+
+// --- Save Form Component ---
+// Shown while there is a route on the map that can be stored
+const SaveRouteForm = ({ onSave }) => {
+  const [name, setName] = useState("");
+  const [notes, setNotes] = useState("");
+  const [tags, setTags] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    await onSave({
+      name: name.trim(),
+      notes: notes.trim(),
+      tags: parseTags(tags),
+    });
+    setName("");
+    setNotes("");
+    setTags("");
+  };
+
+  return (
+    <form className="save-route-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        placeholder={t("library.name")}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        required
+      />
+      <textarea
+        placeholder={t("library.notes")}
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={2}
+      />
+      <input
+        type="text"
+        placeholder={t("library.tags")}
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <button type="submit" disabled={!name.trim()}>
+        {t("library.save")}
+      </button>
+    </form>
+  );
+};
+
+// --- Saved Route Item Component ---
+const SavedRouteItem = ({
+  route,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  units,
+}) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(route.name);
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (draftName.trim() && draftName.trim() !== route.name) {
+      onRename(route.id, draftName.trim());
+    }
+    setIsRenaming(false);
+  };
+
+  return (
+    <li className="saved-route">
+      {isRenaming ? (
+        <form onSubmit={submitRename} className="rename-form">
+          <input
+            type="text"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            autoFocus
+          />
+          <button type="submit">{t("library.ok")}</button>
+        </form>
+      ) : (
+        <button
+          className="saved-route-name"
+          onClick={() => onOpen(route)}
+          title={t("library.openTitle")}
+        >
+          {route.name}
+        </button>
+      )}
+      <div className="saved-route-stats">
+        <span>{formatDistance(route.summary?.distance, units)}</span>
+        <span>{formatDuration(route.summary?.duration)}</span>
+        <span>{formatElevation(route.summary?.ascent, units)} ↑</span>
+        <span>{t(`profile.${route.profile}`)}</span>
+      </div>
+      {route.notes && <p className="saved-route-notes">{route.notes}</p>}
+      {route.tags?.length > 0 && (
+        <div className="saved-route-tags">
+          {route.tags.map((tag) => (
+            <span key={tag} className="tag">
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="saved-route-actions">
+        <button
+          onClick={() => {
+            setDraftName(route.name);
+            setIsRenaming(true);
+          }}
+        >
+          {t("library.rename")}
+        </button>
+        <button onClick={() => onDuplicate(route.id)}>
+          {t("library.duplicate")}
+        </button>
+        <button onClick={() => onDelete(route)}>{t("library.delete")}</button>
+      </div>
+    </li>
+  );
+};
+
+// --- Main Library Panel Component ---
+// currentRoute: everything needed to store the route on the map, or null
+function RouteLibraryPanel({ currentRoute, onOpenRoute, onClose, units }) {
+  const [routes, setRoutes] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setRoutes(await listSavedRoutes());
+      setError(null);
+    } catch (err) {
+      console.error("Error loading saved routes:", err);
+      setError(t("library.error.load"));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Wrap each library action so failures end up in the panel's error line
+  const run = async (action, failureMessage) => {
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      console.error(failureMessage, err);
+      setError(failureMessage);
+    }
+  };
+
+  const handleSave = (details) =>
+    run(
+      () => saveRoute({ ...currentRoute, ...details }),
+      t("library.error.save")
+    );
+
+  const handleRename = (id, name) =>
+    run(() => updateSavedRoute(id, { name }), t("library.error.rename"));
+
+  const handleDuplicate = (id) =>
+    run(() => duplicateSavedRoute(id), t("library.error.duplicate"));
+
+  const handleDelete = (route) => {
+    if (!window.confirm(t("library.confirmDelete", { name: route.name })))
+      return;
+    run(() => deleteSavedRoute(route.id), t("library.error.delete"));
+  };
+
+  return (
+    <div className="route-library-panel">
+      <div className="library-header">
+        <h3>{t("library.title")}</h3>
+        <button onClick={onClose} title={t("library.close")}>
+          ✕
+        </button>
+      </div>
+
+      {currentRoute ? (
+        <SaveRouteForm onSave={handleSave} />
+      ) : (
+        <p className="library-hint">{t("library.nothingToSave")}</p>
+      )}
+
+      {error && <p className="error-message">{error}</p>}
+
+      {routes.length === 0 ? (
+        <p className="library-hint">{t("library.empty")}</p>
+      ) : (
+        <ul className="saved-routes">
+          {routes.map((route) => (
+            <SavedRouteItem
+              key={route.id}
+              route={route}
+              onOpen={onOpenRoute}
+              onRename={handleRename}
+              onDuplicate={handleDuplicate}
+              onDelete={handleDelete}
+              units={units}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default RouteLibraryPanel;
@@ -1,157 +1,50 @@
 // src/RouteSummaryCard.jsx
-import React from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import "./RouteSummaryCard.css";
 import ElevationProfileChart from "./ElevationProfileChart";
+import DirectionsList from "./DirectionsList";
+import PoiList from "./PoiList";
+import RouteWeather from "./RouteWeather";
+import DaylightCheck from "./DaylightCheck";
+import {
+  pickWeatherSamples,
+  fetchWeatherForecasts,
+  getWeatherAt,
+  getWeatherWarnings,
+} from "./weather";
+import { cumulativeDistances } from "./geoUtils";
+import {
+  HIKING_TIME_MODELS,
+  DEFAULT_HIKING_TIME_MODEL,
+  computeHikingTimes,
+} from "./hikingTime";
+import { EXPORT_FORMATS, exportRoute } from "./routeExport";
+import {
+  formatDuration,
+  formatDistance,
+  formatElevation,
+  formatGrade,
+  formatNumber,
+} from "./formatters";
+import { detectClimbs } from "./climbs";
+import { t } from "./i18n";
+import { checkDaylight } from "./daylight";
+import {
+  SURFACE_COLORS,
+  WAYTYPE_COLORS,
+  STEEPNESS_COLORS,
+  TRAIL_DIFFICULTY,
+  TRAIL_DIFFICULTY_COLORS,
+  getSurfaceType,
+  getWaytypeName,
+  getSteepnessName,
+  getTrailDifficultyScale,
+  getTrailDifficultyName,
+  getExtraRanges,
+} from "./routeExtras";
 
 // --- Helper Functions ---
 
-// Format duration (seconds) into HH:MM:SS or similar
-const formatDuration = (seconds) => {
-  if (seconds === null || seconds === undefined) return "N/A";
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-
-  let formatted = "";
-  if (hours > 0) {
-    formatted += `${hours}h `;
-  }
-  formatted += `${minutes.toString().padStart(2, "0")}min`;
-  return formatted;
-};
-
-// Format distance (meters) into km or miles
-const formatDistance = (meters) => {
-  if (meters === null || meters === undefined) return "N/A";
-  if (meters < 1000) {
-    return `${Math.round(meters)} m`;
-  }
-  const kilometers = meters / 1000;
-  return `${kilometers.toFixed(1)} km`;
-};
-
-// Format elevation (meters)
-const formatElevation = (meters) => {
-  if (meters === null || meters === undefined) return "N/A";
-  return `${Math.round(meters)} m`;
-};
-
-// Surface type dictionary
-const SURFACE_TYPES = {
-  0: "Unknown",
-  1: "Paved",
-  2: "Unpaved",
-  3: "Asphalt",
-  4: "Concrete",
-  5: "Cobblestone",
-  6: "Metal",
-  7: "Wood",
-  8: "Compacted Gravel",
-  9: "Fine Gravel",
-  10: "Gravel",
-  11: "Dirt",
-  12: "Ground",
-  13: "Ice",
-  14: "Paving Stones",
-  15: "Sand",
-  16: "Woodchips",
-  17: "Grass",
-  18: "Grass Paver",
-};
-
-// Waytype dictionary
-const WAYTYPE_TYPES = {
-  0: "Unknown",
-  1: "State Road",
-  2: "Road",
-  3: "Street",
-  4: "Path",
-  5: "Track",
-  6: "Cycleway",
-  7: "Footway",
-  8: "Steps",
-  9: "Ferry",
-  10: "Construction",
-};
-
-// Trail difficulty dictionary
-const TRAIL_DIFFICULTY = {
-  foot: {
-    0: "No tag",
-    1: "Hiking (T1)",
-    2: "Mountain hiking (T2)",
-    3: "Demanding mountain hiking (T3)",
-    4: "Alpine hiking (T4)",
-    5: "Demanding alpine hiking (T5)",
-    6: "Difficult alpine hiking (T6)",
-  },
-  cycling: {
-    0: "No tag",
-    1: "MTB: Easy (S0)",
-    2: "MTB: Medium (S1)",
-    3: "MTB: Difficult (S2)",
-    4: "MTB: Very difficult (S3)",
-    5: "MTB: Extremely difficult (S4)",
-    6: "MTB: Trials (S5)",
-    7: "MTB: Insane (S6)",
-  },
-};
-
-// --- Color Mapping for Surfaces/Waytypes (Updated with numeric keys) ---
-const SURFACE_COLORS = {
-  0: "#A9A9A9", // Unknown - gray
-  1: "#708090", // Paved - slate gray
-  2: "#8B4513", // Unpaved - brown
-  3: "#686de0", // Asphalt - blueish (from original)
-  4: "#B0C4DE", // Concrete - light gray blue
-  5: "#a4b0be", // Cobblestone - grey (from original)
-  6: "#C0C0C0", // Metal - silver
-  7: "#a0522d", // Wood - wood (from original)
-  8: "#B8860B", // Compacted Gravel - dark goldenrod
-  9: "#D2B48C", // Fine Gravel - tan
-  10: "#ccae62", // Gravel - gravel (from original)
-  11: "#8c6c3f", // Dirt - brown (from original)
-  12: "#8c6c3f", // Ground - brown (from original)
-  13: "#E0FFFF", // Ice - light cyan
-  14: "#a4b0be", // Paving Stones - grey (from original)
-  15: "#f1d780", // Sand - sand (from original)
-  16: "#D2691E", // Woodchips - chocolate
-  17: "#4caf50", // Grass - green (from original)
-  18: "#9ACD32", // Grass Paver - yellow green
-  default: "#cccccc", // Fallback color
-};
-
-const WAYTYPE_COLORS = {
-  0: "#A9A9A9", // Unknown - gray
-  1: "#1E90FF", // State Road - dodger blue
-  2: "#4169E1", // Road - royal blue
-  3: "#6495ED", // Street - cornflower blue
-  4: "#FFA500", // Path - orange
-  5: "#DAA520", // Track - goldenrod
-  6: "#32CD32", // Cycleway - lime green
-  7: "#8B4513", // Footway - saddle brown
-  8: "#708090", // Steps - slate gray
-  9: "#00BFFF", // Ferry - deep sky blue
-  10: "#FF6347", // Construction - tomato
-  default: "#cccccc", // Fallback color
-};
-
-// Helper function to get surface type name
-const getSurfaceType = (value) => {
-  return SURFACE_TYPES[value] || "Unknown";
-};
-
-// Helper function to get waytype name
-const getWaytypeName = (value) => {
-  return WAYTYPE_TYPES[value] || "Unknown";
-};
-
-// Helper function to get trail difficulty description
-const getTrailDifficultyName = (value, profile) => {
-  const profileType = profile.startsWith("foot") ? "foot" : "cycling";
-  const difficultyDict = TRAIL_DIFFICULTY[profileType];
-  return difficultyDict ? difficultyDict[value] || "Unknown" : "Unknown";
-};
-
 // Helper function to find the maximum trail difficulty
 const getMaxTrailDifficulty = (difficulties) => {
   if (!difficulties || !difficulties.length) return null;
@@ -167,9 +60,32 @@ const getMaxTrailDifficulty = (difficulties) => {
 };
 
 // --- Breakdown Bar Component ---
-const BreakdownBar = ({ title, data, colorMap, typeNameFn }) => {
+// onSegmentClick(value) makes segments and legend items clickable;
+// selectedValue is drawn as the active one.
+const BreakdownBar = ({
+  title,
+  data,
+  colorMap,
+  typeNameFn,
+  onSegmentClick,
+  selectedValue,
+  units,
+}) => {
   if (!data || data.length === 0) return null;
 
+  const getClassName = (base, value) =>
+    [
+      base,
+      onSegmentClick ? "clickable" : "",
+      selectedValue !== undefined && selectedValue !== null
+        ? String(selectedValue) === String(value)
+          ? "selected"
+          : "dimmed"
+        : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+
   return (
     <div className="breakdown">
       <span className="breakdown-title">{title}:</span>
@@ -182,15 +98,17 @@ const BreakdownBar = ({ title, data, colorMap, typeNameFn }) => {
 
           // Tooltip shows details on hover
           const tooltip = `${typeName}: ${formatDistance(
-            item.distance
-          )} (${percentage.toFixed(1)}%)`;
+            item.distance,
+            units
+          )} (${formatNumber(percentage, 1)}%)`;
 
           return (
             <div
               key={value}
-              className="bar-segment"
+              className={getClassName("bar-segment", value)}
               style={{ width: `${percentage}%`, backgroundColor: color }}
               title={tooltip}
+              onClick={onSegmentClick && (() => onSegmentClick(value))}
             />
           );
         })}
@@ -204,10 +122,14 @@ const BreakdownBar = ({ title, data, colorMap, typeNameFn }) => {
           const typeName = typeNameFn(value);
 
           return (
-            <div key={value} className="legend-item">
+            <div
+              key={value}
+              className={getClassName("legend-item", value)}
+              onClick={onSegmentClick && (() => onSegmentClick(value))}
+            >
               <span className="color-box" style={{ backgroundColor: color }} />
               <span className="legend-text">
-                {typeName} ({percentage.toFixed(1)}%)
+                {typeName} ({formatNumber(percentage, 1)}%)
               </span>
             </div>
           );
@@ -217,10 +139,468 @@ const BreakdownBar = ({ title, data, colorMap, typeNameFn }) => {
   );
 };
 
+// --- Per-Leg Table Component ---
+// One row per leg between consecutive waypoints (start -> via 1 -> ... -> end)
+const LegsTable = ({ segments, units }) => {
+  if (!segments || segments.length < 2) return null;
+
+  const getPointName = (index) => {
+    if (index === 0) return t("common.start");
+    if (index === segments.length) return t("common.end");
+    return t("common.viaNumber", { number: index });
+  };
+
+  return (
+    <table className="legs-table">
+      <thead>
+        <tr>
+          <th>{t("summary.leg")}</th>
+          <th>{t("summary.distance")}</th>
+          <th>{t("summary.time")}</th>
+          <th>{t("summary.ascent")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {segments.map((segment, index) => (
+          <tr key={index}>
+            <td>
+              {getPointName(index)} → {getPointName(index + 1)}
+            </td>
+            <td>{formatDistance(segment.distance, units)}</td>
+            <td>{formatDuration(segment.duration)}</td>
+            <td>{formatElevation(segment.ascent, units)} ↑</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// --- Difficulty Threshold Component ---
+// Grade from which hotspots are marked on the map; null switches them off
+const DifficultyThreshold = ({ profile, threshold, onThresholdChange }) => {
+  const grades = Object.keys(
+    TRAIL_DIFFICULTY[getTrailDifficultyScale(profile)] || {}
+  ).filter((value) => value > 0);
+
+  return (
+    <div className="difficulty-threshold">
+      <label>
+        {t("summary.markDifficulty")}{" "}
+        <select
+          value={threshold ?? ""}
+          onChange={(e) =>
+            onThresholdChange(e.target.value ? parseInt(e.target.value) : null)
+          }
+        >
+          <option value="">{t("summary.markOff")}</option>
+          {grades.map((value) => (
+            <option key={value} value={value}>
+              {getTrailDifficultyName(value, profile)}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+// Remember the hiking time settings between sessions
+const HIKING_TIME_MODEL_STORAGE_KEY = "hiker.hikingTimeModel";
+const PACE_FACTOR_STORAGE_KEY = "hiker.paceFactor";
+
+// --- Hiking Time Settings Component ---
+const HikingTimeSettings = ({
+  model,
+  onModelChange,
+  paceFactor,
+  onPaceFactorChange,
+}) => (
+  <div className="hiking-time-settings">
+    <label>
+      {t("hikingTime.model")}{" "}
+      <select value={model} onChange={(e) => onModelChange(e.target.value)}>
+        {Object.entries(HIKING_TIME_MODELS).map(([id, { label }]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+    <label title={t("hikingTime.paceFactorTitle")}>
+      {t("hikingTime.paceFactor")}{" "}
+      <input
+        type="number"
+        min="0.5"
+        max="2"
+        step="0.05"
+        value={paceFactor}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (value > 0) onPaceFactorChange(value);
+        }}
+      />
+    </label>
+  </div>
+);
+
+// "rgb(r, g, b)" -> "rgba(r, g, b, alpha)", for translucent chart shading
+const withAlpha = (rgb, alpha) =>
+  rgb.replace("rgb(", "rgba(").replace(")", `, ${alpha})`);
+
+// --- Climbs Table Component ---
+// Clicking a climb highlights it on the map (and again to clear)
+const ClimbsTable = ({ climbs, selectedIndex, onClimbClick, units }) => {
+  if (!climbs || climbs.length === 0) return null;
+
+  return (
+    <table className="climbs-table">
+      <thead>
+        <tr>
+          <th>{t("climbs.climb")}</th>
+          <th>{t("climbs.start")}</th>
+          <th>{t("climbs.length")}</th>
+          <th>{t("climbs.gain")}</th>
+          <th>{t("climbs.average")}</th>
+          <th>{t("climbs.max")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {climbs.map((climb, index) => (
+          <tr
+            key={climb.startIndex}
+            className={index === selectedIndex ? "selected" : ""}
+            onClick={() => onClimbClick?.(index)}
+          >
+            <td>
+              <span
+                className="climb-category"
+                style={{
+                  backgroundColor: climb.category.color,
+                  color: climb.category.textColor,
+                }}
+              >
+                {t(climb.category.labelKey)}
+              </span>
+            </td>
+            <td>{formatDistance(climb.startDistance, units)}</td>
+            <td>{formatDistance(climb.length, units)}</td>
+            <td>{formatElevation(climb.gain, units)} ↑</td>
+            <td>{formatGrade(climb.averageGrade)}</td>
+            <td>{formatGrade(climb.maxGrade)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// --- Alternatives Comparison Component ---
+// Side-by-side cards for every route returned by the engine, click to switch
+const RouteAlternatives = ({ routes, selectedIndex, onSelect, units }) => {
+  if (!routes || routes.length < 2) return null;
+
+  return (
+    <div className="route-alternatives">
+      {routes.map((route, index) => {
+        const surfaces = route.extras?.surface?.summary || [];
+        return (
+          <button
+            key={index}
+            className={`alternative-card${
+              index === selectedIndex ? " selected" : ""
+            }`}
+            onClick={() => onSelect?.(index)}
+          >
+            <span className="alternative-name">
+              {t("summary.routeNumber", { number: index + 1 })}
+            </span>
+            <span>{formatDistance(route.summary.distance, units)}</span>
+            <span>{formatDuration(route.summary.duration)}</span>
+            <span>{formatElevation(route.summary.ascent, units)} ↑</span>
+            {surfaces.length > 0 && (
+              <span
+                className="alternative-surface-bar"
+                title={surfaces
+                  .map(
+                    ({ value, amount }) =>
+                      `${getSurfaceType(value)} ${formatNumber(
+                        parseFloat(amount)
+                      )}%`
+                  )
+                  .join(", ")}
+              >
+                {surfaces.map(({ value, amount }) => (
+                  <span
+                    key={value}
+                    style={{
+                      width: `${amount}%`,
+                      backgroundColor: SURFACE_COLORS[value] || "#cccccc",
+                    }}
+                  />
+                ))}
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// --- Download Menu Component ---
+const DownloadMenu = ({ summary, profile, routeGeojson, units }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setIsOpen(false);
+    try {
+      exportRoute(format, {
+        name: summary.name,
+        profile,
+        summary,
+        coordinates: summary.coordinates,
+        routeGeojson,
+        units,
+      });
+    } catch (err) {
+      console.error(`Error exporting route as ${format}:`, err);
+    }
+  };
+
+  return (
+    <div className="download-menu">
+      <button
+        className="download-button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        title={t("summary.downloadTitle")}
+      >
+        {t("summary.download")} ▾
+      </button>
+      {isOpen && (
+        <ul className="download-options">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <li key={format}>
+              <button
+                onClick={() => handleExport(format)}
+                disabled={format === "geojson" && !routeGeojson}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 // --- Main Summary Card Component ---
-function RouteSummaryCard({ summary, profile }) {
+function RouteSummaryCard({
+  summary,
+  profile,
+  routeGeojson,
+  hoverIndex,
+  onHoverIndexChange,
+  routeHighlight,
+  onRouteHighlightChange,
+  routeAlternatives,
+  selectedRouteIndex,
+  onAlternativeSelect,
+  pois,
+  poiBuffer,
+  onPoiBufferChange,
+  onPoiSearch,
+  isLoadingPois,
+  poiError,
+  hiddenPoiCategories,
+  onTogglePoiCategory,
+  onPoiClick,
+  difficultyThreshold, // Grade from which hotspots are marked on the map
+  onDifficultyThresholdChange,
+  departureTime, // "YYYY-MM-DDTHH:mm" in local time
+  units, // Key into UNIT_SYSTEMS
+}) {
+  // --- Hiking time model (foot-hiking only, needs elevation) ---
+  const [hikingTimeModel, setHikingTimeModel] = useState(
+    () =>
+      localStorage.getItem(HIKING_TIME_MODEL_STORAGE_KEY) ||
+      DEFAULT_HIKING_TIME_MODEL
+  );
+  const [paceFactor, setPaceFactor] = useState(
+    () => parseFloat(localStorage.getItem(PACE_FACTOR_STORAGE_KEY)) || 1
+  );
+  const handleHikingTimeModelChange = (model) => {
+    setHikingTimeModel(model);
+    localStorage.setItem(HIKING_TIME_MODEL_STORAGE_KEY, model);
+  };
+  const handlePaceFactorChange = (factor) => {
+    setPaceFactor(factor);
+    localStorage.setItem(PACE_FACTOR_STORAGE_KEY, String(factor));
+  };
+
+  const coordinates = summary?.coordinates;
+  const showHikingTime =
+    profile === "foot-hiking" &&
+    coordinates?.some((coord) => coord[2] !== undefined && coord[2] !== null);
+  // Cumulative seconds at each coordinate, shown on the elevation profile too
+  const hikingTimes = useMemo(
+    () =>
+      showHikingTime
+        ? computeHikingTimes(coordinates, hikingTimeModel, paceFactor)
+        : null,
+    [showHikingTime, coordinates, hikingTimeModel, paceFactor]
+  );
+
+  // --- Weather along the route at the expected arrival times ---
+  // Seconds from departure to each coordinate: the hiking model when there is
+  // one, else the engine's duration spread by distance (or the default model
+  // for imported tracks, which have no duration)
+  const arrivalOffsets = useMemo(() => {
+    if (hikingTimes?.length) return hikingTimes;
+    if (!coordinates || coordinates.length < 2) return null;
+    const duration = summary?.duration;
+    if (duration === null || duration === undefined) {
+      return computeHikingTimes(coordinates, hikingTimeModel, paceFactor);
+    }
+    const distances = cumulativeDistances(coordinates);
+    const total = distances[distances.length - 1] || 1;
+    return distances.map((distance) => (duration * distance) / total);
+  }, [
+    hikingTimes,
+    coordinates,
+    summary?.duration,
+    hikingTimeModel,
+    paceFactor,
+  ]);
+
+  // Forecasts only depend on where the samples are, so changing the departure
+  // time or pace just picks different hours from the same data
+  const weatherSamplePoints = useMemo(
+    () => pickWeatherSamples(coordinates),
+    [coordinates]
+  );
+  const [weatherForecasts, setWeatherForecasts] = useState(null);
+  const [isLoadingWeather, setIsLoadingWeather] = useState(false);
+  const [weatherError, setWeatherError] = useState(null);
+  useEffect(() => {
+    setWeatherForecasts(null);
+    if (!weatherSamplePoints.length) return;
+    let cancelled = false; // A newer route replaced this one
+    const loadWeather = async () => {
+      setIsLoadingWeather(true);
+      setWeatherError(null);
+      try {
+        const forecasts = await fetchWeatherForecasts(
+          coordinates,
+          weatherSamplePoints
+        );
+        if (!cancelled) setWeatherForecasts(forecasts);
+      } catch (err) {
+        console.error("Error fetching weather:", err);
+        if (!cancelled) setWeatherError(t("weather.loadFailed"));
+      } finally {
+        if (!cancelled) setIsLoadingWeather(false);
+      }
+    };
+    loadWeather();
+    return () => {
+      cancelled = true;
+    };
+  }, [coordinates, weatherSamplePoints]);
+
+  const weatherSamples = useMemo(() => {
+    const departure = new Date(departureTime).getTime() / 1000;
+    if (!arrivalOffsets || Number.isNaN(departure)) return [];
+    return weatherSamplePoints.map((sample, i) => {
+      const eta = departure + arrivalOffsets[sample.index];
+      return {
+        ...sample,
+        eta,
+        elevation: coordinates[sample.index][2],
+        weather: getWeatherAt(weatherForecasts?.[i], eta),
+      };
+    });
+  }, [
+    weatherSamplePoints,
+    weatherForecasts,
+    arrivalOffsets,
+    departureTime,
+    coordinates,
+  ]);
+  const weatherWarnings = useMemo(
+    () => getWeatherWarnings(weatherSamples),
+    [weatherSamples]
+  );
+
+  // --- Daylight: does the estimated arrival beat sunset? ---
+  const daylight = useMemo(() => {
+    const departure = new Date(departureTime);
+    if (!arrivalOffsets || Number.isNaN(departure.getTime())) return null;
+    return checkDaylight({
+      departure,
+      duration: arrivalOffsets[arrivalOffsets.length - 1],
+      start: coordinates[0],
+      end: coordinates[coordinates.length - 1],
+    });
+  }, [arrivalOffsets, departureTime, coordinates]);
+
+  // --- Significant climbs, shaded on the profile ---
+  const climbs = useMemo(() => detectClimbs(coordinates), [coordinates]);
+  const selectedClimbIndex = routeHighlight?.id?.startsWith("climb:")
+    ? Number(routeHighlight.id.slice("climb:".length))
+    : null;
+  const climbShading = useMemo(
+    () =>
+      climbs.map((climb, index) => ({
+        from: climb.startIndex,
+        to: climb.endIndex,
+        color: withAlpha(
+          climb.category.color,
+          index === selectedClimbIndex ? 0.6 : 0.25
+        ),
+      })),
+    [climbs, selectedClimbIndex]
+  );
+  const toggleClimbHighlight = (index) => {
+    if (!onRouteHighlightChange) return;
+    const id = `climb:${index}`;
+    const climb = climbs[index];
+    onRouteHighlightChange(
+      routeHighlight?.id === id
+        ? null
+        : { id, ranges: [[climb.startIndex, climb.endIndex]] }
+    );
+  };
+
   if (!summary) return null;
 
+  // --- Highlight stretches of one surface / way type / steepness on the map ---
+  const extras = routeGeojson?.features?.[0]?.properties?.extras;
+  const toggleExtraHighlight = (extraKey, value) => {
+    const id = `${extraKey}:${value}`;
+    if (routeHighlight?.id === id) {
+      onRouteHighlightChange(null);
+      return;
+    }
+    onRouteHighlightChange({
+      id,
+      ranges: getExtraRanges(extras, extraKey, value),
+    });
+  };
+  // Props that make a BreakdownBar drive the map highlight for one extra
+  const highlightProps = (extraKey) => {
+    if (!onRouteHighlightChange || !extras?.[extraKey]?.values) return {};
+    const [highlightKey, highlightValue] = (routeHighlight?.id || "").split(
+      ":"
+    );
+    return {
+      onSegmentClick: (value) => toggleExtraHighlight(extraKey, value),
+      selectedValue: highlightKey === extraKey ? highlightValue : null,
+    };
+  };
+
   // Find maximum trail difficulty (if available)
   const maxTrailDifficulty =
     summary.traildifficulty && summary.traildifficulty.length > 0
@@ -229,66 +609,191 @@ function RouteSummaryCard({ summary, profile }) {
 
   // Determine if we should show trail difficulty based on profile
   const showTrailDifficulty =
-    (profile.startsWith("foot") || profile.startsWith("cycling")) &&
-    maxTrailDifficulty;
+    getTrailDifficultyScale(profile) !== null && maxTrailDifficulty > 0;
 
   return (
     <div className="route-summary-card">
+      {summary.name && <h4 className="summary-title">{summary.name}</h4>}
+      <RouteAlternatives
+        routes={routeAlternatives}
+        selectedIndex={selectedRouteIndex}
+        onSelect={onAlternativeSelect}
+        units={units}
+      />
       {/* Top Row: Main Stats */}
       <div className="summary-stats">
         <div className="stat-item">
-          <span className="label">Time</span>
+          <span className="label">
+            {showHikingTime ? t("summary.engineTime") : t("summary.time")}
+          </span>
           <span className="value">{formatDuration(summary.duration)}</span>
         </div>
+        {hikingTimes?.length > 0 && (
+          <div className="stat-item hiking-time-item">
+            <span className="label">{t("summary.hikingTime")}</span>
+            <span className="value">
+              {formatDuration(hikingTimes[hikingTimes.length - 1])}
+            </span>
+          </div>
+        )}
         <div className="stat-item">
-          <span className="label">Distance</span>
-          <span className="value">{formatDistance(summary.distance)}</span>
+          <span className="label">{t("summary.distance")}</span>
+          <span className="value">
+            {formatDistance(summary.distance, units)}
+          </span>
         </div>
         <div className="stat-item">
-          <span className="label">Ascent</span>
-          <span className="value">{formatElevation(summary.ascent)} ↑</span>
+          <span className="label">{t("summary.ascent")}</span>
+          <span className="value">
+            {formatElevation(summary.ascent, units)} ↑
+          </span>
         </div>
         <div className="stat-item">
-          <span className="label">Descent</span>
-          <span className="value">{formatElevation(summary.descent)} ↓</span>
+          <span className="label">{t("summary.descent")}</span>
+          <span className="value">
+            {formatElevation(summary.descent, units)} ↓
+          </span>
         </div>
         {showTrailDifficulty && (
           <div className="stat-item difficulty-item">
-            <span className="label">Max Difficulty</span>
+            <span className="label">{t("summary.maxDifficulty")}</span>
             <span className="value difficulty-value">
               {getTrailDifficultyName(maxTrailDifficulty, profile)}
             </span>
           </div>
         )}
+        {summary.coordinates && summary.coordinates.length > 1 && (
+          <DownloadMenu
+            summary={summary}
+            profile={profile}
+            routeGeojson={routeGeojson}
+            units={units}
+          />
+        )}
       </div>
 
+      {showHikingTime && (
+        <HikingTimeSettings
+          model={hikingTimeModel}
+          onModelChange={handleHikingTimeModelChange}
+          paceFactor={paceFactor}
+          onPaceFactorChange={handlePaceFactorChange}
+        />
+      )}
+
+      <LegsTable segments={summary.segments} units={units} />
+
+      <DirectionsList
+        segments={summary.segments}
+        routeHighlight={routeHighlight}
+        onRouteHighlightChange={onRouteHighlightChange}
+        units={units}
+      />
+
       {summary.coordinates && summary.coordinates.length > 0 && (
         <div className="elevation-profile-container">
-          <ElevationProfileChart coordinates={summary.coordinates} />
+          <ElevationProfileChart
+            coordinates={summary.coordinates}
+            hoverIndex={hoverIndex}
+            onHoverIndexChange={onHoverIndexChange}
+            times={hikingTimes}
+            shadedRanges={climbShading}
+            weatherSamples={weatherSamples}
+            units={units}
+          />
         </div>
       )}
 
+      <ClimbsTable
+        climbs={climbs}
+        selectedIndex={selectedClimbIndex}
+        onClimbClick={toggleClimbHighlight}
+        units={units}
+      />
+
+      <DaylightCheck daylight={daylight} />
+
+      {weatherSamplePoints.length > 0 && (
+        <RouteWeather
+          samples={weatherSamples}
+          warnings={weatherWarnings}
+          isLoading={isLoadingWeather}
+          error={weatherError}
+          units={units}
+        />
+      )}
+
+      {onPoiSearch && summary.coordinates?.length > 1 && (
+        <PoiList
+          pois={pois}
+          buffer={poiBuffer}
+          onBufferChange={onPoiBufferChange}
+          onSearch={onPoiSearch}
+          isLoading={isLoadingPois}
+          error={poiError}
+          hiddenCategories={hiddenPoiCategories}
+          onToggleCategory={onTogglePoiCategory}
+          onPoiClick={onPoiClick}
+          units={units}
+        />
+      )}
+
       {/* Bottom Row: Breakdown Bars */}
       <div className="summary-breakdowns">
         {summary.surface && summary.surface.length > 0 && (
           <BreakdownBar
-            title="Surfaces"
+            title={t("summary.surfaces")}
             data={summary.surface}
             colorMap={SURFACE_COLORS}
             typeNameFn={getSurfaceType}
+            units={units}
+            {...highlightProps("surface")}
           />
         )}
 
         {summary.waytype && summary.waytype.length > 0 && (
           <BreakdownBar
-            title="Way Types"
+            title={t("summary.waytypes")}
             data={summary.waytype}
             colorMap={WAYTYPE_COLORS}
             typeNameFn={getWaytypeName}
+            units={units}
+            {...highlightProps("waytypes")}
+          />
+        )}
+
+        {summary.steepness && summary.steepness.length > 0 && (
+          <BreakdownBar
+            title={t("summary.steepness")}
+            data={[...summary.steepness].sort(
+              (a, b) => parseInt(a.value) - parseInt(b.value)
+            )} // Downhill to uphill, so the bar reads like a gradient
+            colorMap={STEEPNESS_COLORS}
+            typeNameFn={getSteepnessName}
+            units={units}
+            {...highlightProps("steepness")}
           />
         )}
 
-        {/* Trail difficulty breakdown could be added here if needed */}
+        {showTrailDifficulty && (
+          <BreakdownBar
+            title={t("summary.trailDifficulty")}
+            data={[...summary.traildifficulty].sort(
+              (a, b) => parseInt(a.value) - parseInt(b.value)
+            )} // Easiest to hardest
+            colorMap={TRAIL_DIFFICULTY_COLORS}
+            typeNameFn={(value) => getTrailDifficultyName(value, profile)}
+            units={units}
+            {...highlightProps("traildifficulty")}
+          />
+        )}
+        {showTrailDifficulty && onDifficultyThresholdChange && (
+          <DifficultyThreshold
+            profile={profile}
+            threshold={difficultyThreshold}
+            onThresholdChange={onDifficultyThresholdChange}
+          />
+        )}
       </div>
     </div>
   );
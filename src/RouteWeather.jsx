@@ -0,0 +1,102 @@
+// src/RouteWeather.jsx
+import React from "react";
+import "./RouteWeather.css";
+import {
+  formatDistance,
+  formatElevation,
+  formatPrecipitation,
+  formatSpeed,
+  formatTemperature,
+  formatTime,
+} from "./formatters";
+import { t } from "./i18n";
+
+// Warning type -> icon (the text is the "weather.warning.<type>" message)
+const WARNING_ICONS = {
+  thunderstorm: "⛈",
+  rain: "🌧",
+  wind: "💨",
+  freezing: "❄",
+};
+
+// --- Weather Along the Route ---
+// samples: [{ distance, eta, elevation, weather }] with weather from getWeatherAt
+// warnings: from getWeatherWarnings
+// units: key into UNIT_SYSTEMS
+function RouteWeather({ samples, warnings, isLoading, error, units }) {
+  if (isLoading) {
+    return <p className="route-weather-status">{t("weather.loading")}</p>;
+  }
+  if (error) return <p className="route-weather-status error">{error}</p>;
+  if (!samples?.some((sample) => sample.weather)) {
+    return (
+      <p className="route-weather-status">
+        {t("weather.noForecastForDeparture")}
+      </p>
+    );
+  }
+
+  return (
+    <div className="route-weather">
+      {warnings.length > 0 && (
+        <ul className="weather-warnings">
+          {warnings.map(({ type, sample }) => (
+            <li key={`${type}-${sample.index}`}>
+              {WARNING_ICONS[type]}{" "}
+              {t(`weather.warning.${type}`, {
+                distance: formatDistance(sample.distance, units),
+                time: formatTime(sample.eta),
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
+      <table className="weather-table">
+        <thead>
+          <tr>
+            <th>{t("weather.at")}</th>
+            <th>{t("weather.eta")}</th>
+            <th>{t("weather.temperature")}</th>
+            <th>{t("weather.precipitation")}</th>
+            <th>{t("weather.wind")}</th>
+            <th>{t("weather.freezingLevel")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {samples.map((sample) => (
+            <tr key={sample.index}>
+              <td>{formatDistance(sample.distance, units)}</td>
+              <td>{formatTime(sample.eta)}</td>
+              {sample.weather ? (
+                <>
+                  <td>
+                    {formatTemperature(sample.weather.temperature, units)}
+                  </td>
+                  <td>
+                    {formatPrecipitation(sample.weather.precipitation, units)}
+                  </td>
+                  <td>
+                    {formatSpeed(sample.weather.windSpeed, units)}
+                    {sample.weather.windGusts !== undefined && (
+                      <small>
+                        {" "}
+                        ({formatSpeed(sample.weather.windGusts, units)})
+                      </small>
+                    )}
+                  </td>
+                  <td>
+                    {formatElevation(sample.weather.freezingLevel, units)}
+                  </td>
+                </>
+              ) : (
+                <td colSpan={4}>{t("weather.noForecast")}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default RouteWeather;
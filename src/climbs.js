@@ -0,0 +1,105 @@
+// src/climbs.js
+// Detects the significant climbs of a [lng, lat, ele] line and rates them
+// the way cycling apps do (length x average grade), which works for hikers too.
+
+import { computeElevationProfile } from "./geoUtils";
+
+// A climb ends once the road drops this far (meters) below its highest point;
+// smaller dips are treated as part of the same climb.
+const CLIMB_DROP_TOLERANCE = 10;
+
+// Flatter stretches are drags, not climbs
+const MIN_CLIMB_GRADE = 3; // %
+
+// Categories by score (length in meters x average grade in %), hardest first.
+// labelKey names the message shown for the category; textColor is for
+// labels drawn on the category color.
+export const CLIMB_CATEGORIES = [
+  {
+    id: "HC",
+    labelKey: "climbs.category.HC",
+    minScore: 80000,
+    color: "rgb(128, 0, 38)",
+    textColor: "white",
+  },
+  {
+    id: "1",
+    labelKey: "climbs.category.1",
+    minScore: 64000,
+    color: "rgb(215, 48, 39)",
+    textColor: "white",
+  },
+  {
+    id: "2",
+    labelKey: "climbs.category.2",
+    minScore: 32000,
+    color: "rgb(244, 109, 67)",
+  },
+  {
+    id: "3",
+    labelKey: "climbs.category.3",
+    minScore: 16000,
+    color: "rgb(253, 174, 97)",
+  },
+  {
+    id: "4",
+    labelKey: "climbs.category.4",
+    minScore: 8000,
+    color: "rgb(254, 224, 139)",
+  },
+];
+
+export const getClimbCategory = (length, averageGrade) =>
+  CLIMB_CATEGORIES.find(
+    (category) => length * averageGrade >= category.minScore
+  ) || null;
+
+// Climbs as { startIndex, endIndex, startDistance, endDistance, length, gain,
+// averageGrade, maxGrade, category }, indices into the coordinates
+export const detectClimbs = (coordinates) => {
+  if (!coordinates || coordinates.length < 2) return [];
+  const { distances, elevations, grades } =
+    computeElevationProfile(coordinates);
+
+  const climbs = [];
+  const addClimb = (startIndex, endIndex) => {
+    const length = distances[endIndex] - distances[startIndex];
+    const gain = elevations[endIndex] - elevations[startIndex];
+    if (length <= 0 || gain <= 0) return;
+    const averageGrade = (gain / length) * 100;
+    if (averageGrade < MIN_CLIMB_GRADE) return;
+    const category = getClimbCategory(length, averageGrade);
+    if (!category) return; // Not significant enough to list
+    climbs.push({
+      startIndex,
+      endIndex,
+      startDistance: distances[startIndex],
+      endDistance: distances[endIndex],
+      length,
+      gain,
+      averageGrade,
+      maxGrade: Math.max(...grades.slice(startIndex, endIndex + 1)),
+      category,
+    });
+  };
+
+  // Walk the profile keeping the lowest point so far (start) and the highest
+  // point since then (peak); a big enough drop closes the climb
+  let start = 0;
+  let peak = 0;
+  for (let i = 1; i < elevations.length; i++) {
+    if (elevations[i] > elevations[peak]) {
+      peak = i;
+    } else if (peak === start && elevations[i] <= elevations[start]) {
+      start = i;
+      peak = i;
+    } else if (elevations[peak] - elevations[i] > CLIMB_DROP_TOLERANCE) {
+      addClimb(start, peak);
+      start = i;
+      peak = i;
+    }
+  }
+  if (peak > start) addClimb(start, peak);
+
+  return climbs;
+};
@@ -0,0 +1,111 @@
+// src/daylight.js
+// Sunrise, sunset and civil twilight computed on the client (the usual
+// sunrise equation, accurate to a minute or two), plus a check of a planned
+// departure against them.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397; // Of the Earth's axis
+
+// Sun altitudes (degrees) for the events we care about
+const SUNRISE_ALTITUDE = -0.833; // Upper limb on the horizon, with refraction
+const CIVIL_TWILIGHT_ALTITUDE = -6;
+
+const toDays = (date) => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+const fromJulian = (j) => new Date((j + 0.5 - J1970) * DAY_MS);
+
+const solarMeanAnomaly = (d) => RAD * (357.5291 + 0.98560028 * d);
+
+const eclipticLongitude = (M) => {
+  const center =
+    RAD *
+    (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  return M + center + RAD * 102.9372 + Math.PI;
+};
+
+const approxTransit = (hourAngle, lw, n) =>
+  J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+
+const solarTransitJ = (ds, M, L) =>
+  J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+// Sun times for the day of `date` at a point. Each is a Date, or null when the
+// sun never reaches that altitude (polar day or night).
+export const getSunTimes = (date, lat, lng) => {
+  const lw = RAD * -lng;
+  const phi = RAD * lat;
+  const d = toDays(date);
+  const n = Math.round(d - J0 - lw / (2 * Math.PI));
+  const ds = approxTransit(0, lw, n);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const noon = solarTransitJ(ds, M, L);
+
+  // [rise, set] for a sun altitude in degrees
+  const getRiseSet = (altitude) => {
+    const cosHourAngle =
+      (Math.sin(RAD * altitude) - Math.sin(phi) * Math.sin(declination)) /
+      (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) return [null, null];
+    const set = solarTransitJ(
+      approxTransit(Math.acos(cosHourAngle), lw, n),
+      M,
+      L
+    );
+    return [fromJulian(noon - (set - noon)), fromJulian(set)];
+  };
+
+  const [sunrise, sunset] = getRiseSet(SUNRISE_ALTITUDE);
+  const [dawn, dusk] = getRiseSet(CIVIL_TWILIGHT_ALTITUDE);
+  return { sunrise, sunset, dawn, dusk };
+};
+
+// Compare a trip with the daylight of its departure day:
+//   departure: Date, duration: seconds, start / end: [lng, lat]
+// Returns the sun times at the end point (sunrise, sunset, dawn, dusk) plus
+//   arrival, margin (seconds between arrival and sunset, negative when late),
+//   latestStart (Date that still arrives by sunset),
+//   status: "ok" | "twilight" (after sunset or before sunrise) |
+//     "dark" (after civil dusk, which includes overnight, or before civil dawn),
+//   startsInDark (departure before civil dawn at the start point),
+//   tooLong (even leaving at sunrise gets in after sunset)
+// or null when the day has no sunset (polar day or night).
+export const checkDaylight = ({ departure, duration, start, end }) => {
+  const arrival = new Date(departure.getTime() + duration * 1000);
+  // Midday of the departure's calendar day, so that late or overnight trips
+  // are not compared with the next day's sun
+  const day = new Date(
+    departure.getFullYear(),
+    departure.getMonth(),
+    departure.getDate(),
+    12
+  );
+  const { sunrise, sunset, dawn, dusk } = getSunTimes(day, end[1], end[0]);
+  const { dawn: startDawn } = getSunTimes(day, start[1], start[0]);
+  if (!sunset) return null;
+
+  let status = "ok";
+  if ((dusk && arrival > dusk) || (dawn && arrival < dawn)) {
+    status = "dark";
+  } else if (arrival > sunset || (sunrise && arrival < sunrise)) {
+    status = "twilight";
+  }
+
+  const latestStart = new Date(sunset.getTime() - duration * 1000);
+  return {
+    sunrise,
+    sunset,
+    dawn,
+    dusk,
+    arrival,
+    margin: (sunset.getTime() - arrival.getTime()) / 1000,
+    latestStart,
+    status,
+    startsInDark: Boolean(startDawn && departure < startDawn),
+    tooLong: Boolean(sunrise && latestStart < sunrise),
+  };
+};
@@ -0,0 +1,121 @@
+// src/formatters.js
+// Display formatting for route stats, shared by the summary card and panels.
+// Values always come in metric (meters, °C, km/h, mm); the `units` argument
+// picks the system they are shown in. Numbers, durations and clock times
+// follow the current UI language.
+
+import { getLanguage, t } from "./i18n";
+
+// Unit systems the user can pick from (labelKey is a message key)
+export const UNIT_SYSTEMS = {
+  metric: { labelKey: "units.metric", distanceUnit: "km", elevationUnit: "m" },
+  imperial: {
+    labelKey: "units.imperial",
+    distanceUnit: "mi",
+    elevationUnit: "ft",
+  },
+};
+export const DEFAULT_UNIT_SYSTEM = "metric";
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+const MM_PER_INCH = 25.4;
+
+// Long distances (meters) in the system's distance unit (km or mi)
+export const toDistanceUnit = (meters, units = DEFAULT_UNIT_SYSTEM) =>
+  units === "imperial" ? meters / METERS_PER_MILE : meters / 1000;
+
+// Back to meters from km or mi, e.g. for distances typed by the user
+export const fromDistanceUnit = (value, units = DEFAULT_UNIT_SYSTEM) =>
+  units === "imperial" ? value * METERS_PER_MILE : value * 1000;
+
+// Elevations (meters) in the system's elevation unit (m or ft)
+export const toElevationUnit = (meters, units = DEFAULT_UNIT_SYSTEM) =>
+  units === "imperial" ? meters / METERS_PER_FOOT : meters;
+
+// Format a number with a fixed number of decimals for the current language
+// (e.g. 12.5 in English, 12,5 in Italian)
+export const formatNumber = (value, decimals = 0) =>
+  value.toLocaleString(getLanguage(), {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+
+// Format duration (seconds) into hours and minutes, e.g. "2h 05min"
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined)
+    return t("format.notAvailable");
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60)
+    .toString()
+    .padStart(2, "0");
+  return hours > 0
+    ? t("format.hoursMinutes", { hours, minutes })
+    : t("format.minutes", { minutes });
+};
+
+// Format distance (meters) into km or miles, short ones in m or ft
+export const formatDistance = (meters, units = DEFAULT_UNIT_SYSTEM) => {
+  if (meters === null || meters === undefined) return t("format.notAvailable");
+  if (units === "imperial") {
+    const miles = meters / METERS_PER_MILE;
+    if (miles < 0.1) {
+      return `${formatNumber(meters / METERS_PER_FOOT)} ft`;
+    }
+    return `${formatNumber(miles, 1)} mi`;
+  }
+  if (meters < 1000) {
+    return `${formatNumber(meters)} m`;
+  }
+  const kilometers = meters / 1000;
+  return `${formatNumber(kilometers, 1)} km`;
+};
+
+// Format elevation (meters) into m or ft
+export const formatElevation = (meters, units = DEFAULT_UNIT_SYSTEM) => {
+  if (meters === null || meters === undefined) return t("format.notAvailable");
+  return `${formatNumber(toElevationUnit(meters, units))} ${
+    UNIT_SYSTEMS[units].elevationUnit
+  }`;
+};
+
+// Format a grade (percent in both unit systems), signed so climbs and
+// descents read differently
+export const formatGrade = (grade) => {
+  if (grade === null || grade === undefined) return t("format.notAvailable");
+  return `${grade > 0 ? "+" : ""}${Math.round(grade)}%`;
+};
+
+// Format a temperature (°C) into °C or °F
+export const formatTemperature = (celsius, units = DEFAULT_UNIT_SYSTEM) => {
+  if (celsius === null || celsius === undefined)
+    return t("format.notAvailable");
+  if (units === "imperial") return `${Math.round((celsius * 9) / 5 + 32)}°F`;
+  return `${Math.round(celsius)}°C`;
+};
+
+// Format a speed (km/h), e.g. wind, into km/h or mph
+export const formatSpeed = (kmh, units = DEFAULT_UNIT_SYSTEM) => {
+  if (kmh === null || kmh === undefined) return t("format.notAvailable");
+  if (units === "imperial") {
+    return `${Math.round((kmh * 1000) / METERS_PER_MILE)} mph`;
+  }
+  return `${Math.round(kmh)} km/h`;
+};
+
+// Format a precipitation amount (mm) into mm or inches
+export const formatPrecipitation = (mm, units = DEFAULT_UNIT_SYSTEM) => {
+  if (mm === null || mm === undefined) return t("format.notAvailable");
+  if (units === "imperial") return `${formatNumber(mm / MM_PER_INCH, 2)} in`;
+  return `${formatNumber(mm, 1)} mm`;
+};
+
+// Format a clock time (Date or unix seconds) as HH:MM in local time
+export const formatTime = (time) => {
+  if (time === null || time === undefined) return t("format.notAvailable");
+  const date = time instanceof Date ? time : new Date(time * 1000);
+  return date.toLocaleTimeString(getLanguage(), {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
@@ -0,0 +1,141 @@
+// src/geoUtils.js
+// Small geometry helpers shared by the map, the chart and the summary card.
+
+// Helper function to calculate distance between two lat/lon points (Haversine formula)
+// Returns distance in meters
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3; // Earth's radius in meters
+  const φ1 = (lat1 * Math.PI) / 180; // φ, λ in radians
+  const φ2 = (lat2 * Math.PI) / 180;
+  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return R * c; // Distance in meters
+}
+
+// Cumulative distance (meters) at every coordinate of a [lng, lat, ...] line
+export function cumulativeDistances(coordinates) {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lon1, lat1] = coordinates[i - 1];
+    const [lon2, lat2] = coordinates[i];
+    distances.push(
+      distances[i - 1] + calculateDistance(lat1, lon1, lat2, lon2)
+    );
+  }
+  return distances;
+}
+
+// Index of the coordinate ([lng, lat, ...]) closest to the given { lng, lat }.
+// Uses an equirectangular approximation, which is plenty for picking a vertex.
+export function findNearestCoordinateIndex(coordinates, point) {
+  if (!coordinates || coordinates.length === 0) return -1;
+  const cosLat = Math.cos((point.lat * Math.PI) / 180);
+  let nearestIndex = 0;
+  let nearestDistance = Infinity;
+  coordinates.forEach(([lng, lat], index) => {
+    const dx = (lng - point.lng) * cosLat;
+    const dy = lat - point.lat;
+    const distance = dx * dx + dy * dy;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestIndex = index;
+    }
+  });
+  return nearestIndex;
+}
+
+// Minimum elevation change (meters) counted towards ascent/descent.
+// Recorded tracks jitter by a few meters; summing every wiggle inflates the totals.
+const ELEVATION_NOISE_THRESHOLD = 3;
+
+// Running distance, ascent and descent at every coordinate of a
+// [lng, lat, ele?] line, computed client-side
+export function computeCumulativeStats(coordinates) {
+  const distances = [];
+  const ascents = [];
+  const descents = [];
+  let distance = 0;
+  let ascent = 0;
+  let descent = 0;
+  let referenceElevation = null;
+
+  coordinates.forEach((coord, index) => {
+    if (index > 0) {
+      const [lon1, lat1] = coordinates[index - 1];
+      distance += calculateDistance(lat1, lon1, coord[1], coord[0]);
+    }
+    const elevation = coord[2];
+    if (elevation !== undefined && elevation !== null) {
+      if (referenceElevation === null) {
+        referenceElevation = elevation;
+      } else {
+        const delta = elevation - referenceElevation;
+        if (Math.abs(delta) >= ELEVATION_NOISE_THRESHOLD) {
+          if (delta > 0) ascent += delta;
+          else descent -= delta;
+          referenceElevation = elevation;
+        }
+      }
+    }
+    distances.push(distance);
+    ascents.push(ascent);
+    descents.push(descent);
+  });
+
+  return { distances, ascents, descents };
+}
+
+// Distance, ascent and descent of a [lng, lat, ele?] line, computed client-side
+export function computeTrackStats(coordinates) {
+  const { distances, ascents, descents } = computeCumulativeStats(coordinates);
+  const last = distances.length - 1;
+  if (last < 0) return { distance: 0, ascent: 0, descent: 0 };
+  return {
+    distance: distances[last],
+    ascent: ascents[last],
+    descent: descents[last],
+  };
+}
+
+// Half-width (meters) of the window used for the local grade at a point.
+// Shorter windows make single noisy elevation samples look like cliffs.
+const GRADE_WINDOW = 50;
+
+// Per-coordinate distance from start, elevation and local grade (%) of a
+// [lng, lat, ele?] line; missing elevations count as 0 like the chart did.
+export function computeElevationProfile(coordinates) {
+  const grades = [];
+  if (!coordinates || coordinates.length === 0) {
+    return { distances: [], elevations: [], grades };
+  }
+
+  const distances = cumulativeDistances(coordinates);
+  const elevations = coordinates.map(([, , ele]) =>
+    ele !== undefined && ele !== null ? ele : 0
+  );
+
+  // Grade across [d - window, d + window], moving both ends along with i
+  let back = 0;
+  let ahead = 0;
+  for (let i = 0; i < distances.length; i++) {
+    while (distances[i] - distances[back] > GRADE_WINDOW) back++;
+    while (
+      ahead < distances.length - 1 &&
+      distances[ahead] - distances[i] < GRADE_WINDOW
+    ) {
+      ahead++;
+    }
+    const run = distances[ahead] - distances[back];
+    grades.push(
+      run > 0 ? ((elevations[ahead] - elevations[back]) / run) * 100 : 0
+    );
+  }
+
+  return { distances, elevations, grades };
+}
@@ -0,0 +1,38 @@
+// src/geocoding.js
+// Place search and reverse geocoding through the ORS (Pelias) geocoder,
+// using the same API key as routing.
+
+import { orsGet } from "./routing/ors";
+import { getLanguage } from "./i18n";
+
+// Pelias feature -> { id, label, lng, lat }
+const toPlace = (feature) => ({
+  id: feature.properties.gid || feature.properties.id,
+  label: feature.properties.label || feature.properties.name,
+  lng: feature.geometry.coordinates[0],
+  lat: feature.geometry.coordinates[1],
+});
+
+// Autocomplete suggestions for partial text, ranked near `focus` ({ lng, lat })
+// when given so local trailheads beat namesakes abroad
+export const searchPlaces = async (text, { focus } = {}) => {
+  const params = { text, size: 6, lang: getLanguage() };
+  if (focus) {
+    params["focus.point.lon"] = focus.lng;
+    params["focus.point.lat"] = focus.lat;
+  }
+  const response = await orsGet("/geocode/autocomplete", params);
+  return (response.data?.features || []).map(toPlace);
+};
+
+// Readable name for a point, or null when nothing is nearby
+export const reverseGeocode = async ({ lng, lat }) => {
+  const response = await orsGet("/geocode/reverse", {
+    "point.lon": lng,
+    "point.lat": lat,
+    size: 1,
+    lang: getLanguage(),
+  });
+  const feature = response.data?.features?.[0];
+  return feature ? toPlace(feature).label : null;
+};
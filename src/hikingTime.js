@@ -0,0 +1,106 @@
+// src/hikingTime.js
+// Walking time models for hiking routes. Routing engines price a footpath by
+// distance only, which badly underestimates anything with real climbing.
+// Every model returns the cumulative time (seconds) at each coordinate of a
+// [lng, lat, ele] line, so the last value is the total.
+
+import { computeCumulativeStats, computeElevationProfile } from "./geoUtils";
+
+const HOUR = 3600;
+
+// DIN 33466 (German hiking trail signage): 4 km/h on the flat, 300 m/h up,
+// 500 m/h down; the smaller of horizontal and vertical time counts half.
+const dinHours = (distance, ascent, descent) => {
+  const horizontal = distance / 4000;
+  const vertical = ascent / 300 + descent / 500;
+  return Math.max(horizontal, vertical) + Math.min(horizontal, vertical) / 2;
+};
+
+// Tranter's correction table for a fit walker (climbs 300 m over 800 m in
+// 20 minutes): Naismith hours -> corrected hours. Longer days tire people out.
+const TRANTER_TABLE = [
+  [2, 1.25],
+  [3, 2.25],
+  [4, 3.25],
+  [5, 4.5],
+  [6, 5.5],
+  [7, 6.5],
+  [8, 7.75],
+  [9, 8.75],
+  [10, 10],
+  [12, 12.5],
+  [14, 15],
+  [16, 17.5],
+  [18, 20],
+  [20, 23],
+];
+
+// Linear interpolation in TRANTER_TABLE, proportional below and past its ends
+const applyTranter = (hours) => {
+  const [firstHours, firstCorrected] = TRANTER_TABLE[0];
+  if (hours <= firstHours) return (hours * firstCorrected) / firstHours;
+  for (let i = 1; i < TRANTER_TABLE.length; i++) {
+    const [x1, y1] = TRANTER_TABLE[i];
+    if (hours <= x1) {
+      const [x0, y0] = TRANTER_TABLE[i - 1];
+      return y0 + ((hours - x0) * (y1 - y0)) / (x1 - x0);
+    }
+  }
+  const [lastHours, lastCorrected] = TRANTER_TABLE[TRANTER_TABLE.length - 1];
+  return (hours * lastCorrected) / lastHours;
+};
+
+// Naismith: 5 km/h plus one hour for every 600 m of ascent
+const naismithHours = (distance, ascent) => distance / 5000 + ascent / 600;
+
+// Tobler's hiking function: km/h for a slope (rise over run)
+const toblerSpeed = (slope) => 6 * Math.exp(-3.5 * Math.abs(slope + 0.05));
+
+export const HIKING_TIME_MODELS = {
+  din33466: {
+    label: "DIN 33466",
+    compute: (coordinates) => {
+      const { distances, ascents, descents } =
+        computeCumulativeStats(coordinates);
+      return distances.map(
+        (distance, i) => dinHours(distance, ascents[i], descents[i]) * HOUR
+      );
+    },
+  },
+  naismith: {
+    label: "Naismith + Tranter",
+    compute: (coordinates) => {
+      const { distances, ascents } = computeCumulativeStats(coordinates);
+      return distances.map(
+        (distance, i) =>
+          applyTranter(naismithHours(distance, ascents[i])) * HOUR
+      );
+    },
+  },
+  tobler: {
+    label: "Tobler",
+    compute: (coordinates) => {
+      // Smoothed grades, so elevation noise does not slow every step down
+      const { distances, grades } = computeElevationProfile(coordinates);
+      const times = [0];
+      for (let i = 1; i < distances.length; i++) {
+        const stretch = distances[i] - distances[i - 1];
+        const speed = toblerSpeed(grades[i] / 100) * 1000; // m/h
+        times.push(times[i - 1] + (stretch / speed) * HOUR);
+      }
+      return times;
+    },
+  },
+};
+
+export const DEFAULT_HIKING_TIME_MODEL = "din33466";
+
+// Cumulative seconds per coordinate for a model, scaled by a personal pace
+// factor (1 = book time, 1.2 = 20% slower, 0.8 = 20% faster)
+export const computeHikingTimes = (coordinates, modelId, paceFactor = 1) => {
+  if (!coordinates || coordinates.length < 2) return [];
+  const model =
+    HIKING_TIME_MODELS[modelId] ||
+    HIKING_TIME_MODELS[DEFAULT_HIKING_TIME_MODEL];
+  return model.compute(coordinates).map((seconds) => seconds * paceFactor);
+};
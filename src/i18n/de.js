@@ -0,0 +1,368 @@
+// src/i18n/de.js
+// German messages.
+
+export default {
+  // Common
+  "common.unknown": "Unbekannt",
+  "common.start": "Start",
+  "common.end": "Ziel",
+  "common.via": "Zwischenziel",
+  "common.viaNumber": "Zwischenziel {number}",
+  "common.error": "Fehler: {message}",
+
+  // Formatting
+  "format.notAvailable": "k. A.",
+  "format.hoursMinutes": "{hours} Std. {minutes} Min.",
+  "format.minutes": "{minutes} Min.",
+
+  // Units
+  "units.metric": "Metrisch (km, m)",
+  "units.imperial": "Imperial (mi, ft)",
+
+  // Surfaces
+  "surface.unknown": "Unbekannt",
+  "surface.paved": "Befestigt",
+  "surface.unpaved": "Unbefestigt",
+  "surface.asphalt": "Asphalt",
+  "surface.concrete": "Beton",
+  "surface.cobblestone": "Kopfsteinpflaster",
+  "surface.metal": "Metall",
+  "surface.wood": "Holz",
+  "surface.compactedGravel": "Verdichteter Schotter",
+  "surface.fineGravel": "Feinschotter",
+  "surface.gravel": "Schotter",
+  "surface.dirt": "Erdweg",
+  "surface.ground": "Naturboden",
+  "surface.ice": "Eis",
+  "surface.pavingStones": "Pflastersteine",
+  "surface.sand": "Sand",
+  "surface.woodchips": "Holzschnitzel",
+  "surface.grass": "Gras",
+  "surface.grassPaver": "Rasengittersteine",
+
+  // Way types
+  "waytype.unknown": "Unbekannt",
+  "waytype.stateRoad": "Bundesstraße",
+  "waytype.road": "Straße",
+  "waytype.street": "Ortsstraße",
+  "waytype.path": "Pfad",
+  "waytype.track": "Feldweg",
+  "waytype.cycleway": "Radweg",
+  "waytype.footway": "Fußweg",
+  "waytype.steps": "Treppe",
+  "waytype.ferry": "Fähre",
+  "waytype.construction": "Baustelle",
+
+  // Steepness
+  "steepness.down16": "≥16 % bergab",
+  "steepness.down12": "12-15 % bergab",
+  "steepness.down7": "7-11 % bergab",
+  "steepness.down4": "4-6 % bergab",
+  "steepness.down1": "1-3 % bergab",
+  "steepness.flat": "Eben",
+  "steepness.up1": "1-3 % bergauf",
+  "steepness.up4": "4-6 % bergauf",
+  "steepness.up7": "7-11 % bergauf",
+  "steepness.up12": "12-15 % bergauf",
+  "steepness.up16": "≥16 % bergauf",
+
+  // Route color modes
+  "colorMode.plain": "Einfarbig",
+  "colorMode.steepness": "Steigung",
+  "colorMode.surface": "Belag",
+  "colorMode.waytype": "Wegtyp",
+
+  // Points of interest
+  "poi.water": "Wasser",
+  "poi.hut": "Hütten",
+  "poi.shelter": "Unterstände",
+  "poi.viewpoint": "Aussichtspunkte",
+  "poi.parking": "Parkplätze",
+  "poi.transport": "Öffentlicher Verkehr",
+  "poi.title": "Sehenswertes",
+  "poi.within": "im Umkreis von",
+  "poi.searching": "Suche läuft...",
+  "poi.refresh": "Aktualisieren",
+  "poi.find": "Suchen",
+  "poi.toggleCategory": "{category} ein- oder ausblenden",
+  "poi.nothingFound": "Nichts in der Nähe der Route gefunden.",
+  "poi.offRoute": "({distance} abseits)",
+  "poi.alongRoute": "{category} · nach {distance} auf der Route",
+
+  // Directions
+  "directions.title": "Wegbeschreibung ({count} Schritte)",
+  "directions.printTitle": "Route und Wegbeschreibung drucken",
+  "directions.print": "Drucken",
+
+  // Place search
+  "placeSearch.placeholder": "Orte suchen…",
+  "placeSearch.failed": "Ortssuche fehlgeschlagen.",
+  "placeSearch.showOnMap": "Auf der Karte zeigen",
+
+  // Turn instructions built on the client (OSRM)
+  "instruction.depart": "Losgehen",
+  "instruction.arrive": "Sie haben Ihr Ziel erreicht",
+  "instruction.roundabout":
+    "In den Kreisverkehr fahren und Ausfahrt {exit} nehmen",
+  "instruction.uturn": "Wenden",
+  "instruction.straight": "Geradeaus weiter",
+  "instruction.turn": "Abbiegen",
+  "instruction.left": "Links abbiegen",
+  "instruction.right": "Rechts abbiegen",
+  "instruction.sharp-left": "Scharf links abbiegen",
+  "instruction.sharp-right": "Scharf rechts abbiegen",
+  "instruction.slight-left": "Leicht links abbiegen",
+  "instruction.slight-right": "Leicht rechts abbiegen",
+  "instruction.onto": "{instruction} auf {name}",
+
+  // Errors
+  "error.fetchFailed.route": "Route konnte nicht berechnet werden.",
+  "error.fetchFailed.isochrones": "Isochronen konnten nicht berechnet werden.",
+  "error.status": "Status: {status}. {detail}",
+  "error.noResponse": "Keine Antwort vom Server.",
+  "error.orsKeyMissing":
+    "Der API-Schlüssel für OpenRouteService fehlt. Bitte die Umgebungsvariablen prüfen.",
+  "error.graphhopperKeyMissing":
+    "Der API-Schlüssel für GraphHopper fehlt. Bitte die Umgebungsvariablen prüfen.",
+  "error.noRoute": "Keine Route gefunden.",
+  "error.noRouteFeatures": "Die Antwort enthält keine Route.",
+  "error.noRouteProperties": "Route gefunden, aber die Eigenschaften fehlen.",
+  "error.noIsochrones": "Die Antwort enthält keine Isochronen.",
+
+  // Weather
+  "weather.loading": "Wetter wird geladen…",
+  "weather.noForecastForDeparture":
+    "Für diese Abfahrtszeit gibt es keine Vorhersage.",
+  "weather.loadFailed": "Die Wettervorhersage konnte nicht geladen werden.",
+  "weather.warning.thunderstorm": "Gewitter bei {distance} gegen {time}",
+  "weather.warning.rain": "Wahrscheinlich Regen bei {distance} gegen {time}",
+  "weather.warning.wind": "Starke Böen bei {distance} gegen {time}",
+  "weather.warning.freezing":
+    "Über der Nullgradgrenze bei {distance} gegen {time}",
+  "weather.at": "Bei",
+  "weather.eta": "Ankunft",
+  "weather.temperature": "Temp.",
+  "weather.precipitation": "Niederschl.",
+  "weather.wind": "Wind",
+  "weather.freezingLevel": "0°-Grenze",
+  "weather.noForecast": "Keine Vorhersage",
+
+  // Daylight
+  "daylight.ok": "Ankunft gegen {time}, noch {margin} Tageslicht übrig",
+  "daylight.twilight":
+    "Ankunft gegen {time} nach Sonnenuntergang, in der Dämmerung",
+  "daylight.dark": "Ankunft gegen {time} bei Dunkelheit",
+  "daylight.startsInDark": "Der Start liegt vor der Morgendämmerung",
+  "daylight.sunrise": "Sonnenaufgang {time}",
+  "daylight.sunset": "Sonnenuntergang {time}",
+  "daylight.dusk": "Dunkel {time}",
+  "daylight.tooLong": "Zu lang, um bei Tageslicht anzukommen",
+  "daylight.latestStart":
+    "Bis {time} starten, um vor Sonnenuntergang anzukommen",
+
+  // Route library
+  "library.title": "Gespeicherte Routen",
+  "library.close": "Bibliothek schließen",
+  "library.name": "Name der Route",
+  "library.notes": "Notizen",
+  "library.tags": "Schlagwörter, durch Kommas getrennt",
+  "library.save": "Aktuelle Route speichern",
+  "library.ok": "OK",
+  "library.openTitle": "Diese Route auf der Karte zeigen",
+  "library.rename": "Umbenennen",
+  "library.duplicate": "Duplizieren",
+  "library.delete": "Löschen",
+  "library.confirmDelete": '"{name}" löschen?',
+  "library.nothingToSave":
+    "Plane oder importiere eine Route, um sie zu speichern.",
+  "library.empty": "Noch keine gespeicherten Routen.",
+  "library.error.load": "Gespeicherte Routen konnten nicht geladen werden.",
+  "library.error.save": "Route konnte nicht gespeichert werden.",
+  "library.error.rename": "Route konnte nicht umbenannt werden.",
+  "library.error.duplicate": "Route konnte nicht dupliziert werden.",
+  "library.error.delete": "Route konnte nicht gelöscht werden.",
+  "library.copyName": "{name} (Kopie)",
+  "library.error.unavailable":
+    "Gespeicherte Routen sind in diesem Browser nicht verfügbar.",
+  "library.error.notFound": "Gespeicherte Route nicht gefunden.",
+
+  // Profiles
+  "profile.driving-car": "Auto",
+  "profile.cycling-road": "Rennrad",
+  "profile.cycling-mountain": "Mountainbike",
+  "profile.foot-hiking": "Zu Fuß (Wandern)",
+
+  // Elevation chart
+  "chart.title": "Höhenprofil",
+  "chart.elevation": "Höhe",
+  "chart.elevationAxis": "Höhe ({unit})",
+  "chart.distanceAxis": "Entfernung",
+  "chart.distanceTooltip": "Entf.: {distance}",
+  "chart.gradeTooltip": "Steigung: {grade}",
+  "chart.timeTooltip": "Zeit: {time}",
+
+  // Map
+  "map.routeColor": "Routenfarbe:",
+  "map.highlight": "Auf der Karte hervorheben",
+  "radar.show": "Radar zeigen",
+  "radar.hide": "Radar ausblenden",
+  "radar.showLabel": "Wetterradar zeigen",
+  "radar.hideLabel": "Wetterradar ausblenden",
+  "radar.play": "Abspielen",
+  "radar.pause": "Pause",
+  "radar.playLabel": "Radar abspielen",
+  "radar.pauseLabel": "Radar anhalten",
+  "radar.forecastTime": "{time} (Vorhersage)",
+  "radar.loadFailed": "Radardaten konnten nicht geladen werden.",
+
+  // Trail difficulty
+  "difficulty.noTag": "Keine Angabe",
+  "difficulty.foot.1": "Wandern (T1)",
+  "difficulty.foot.2": "Bergwandern (T2)",
+  "difficulty.foot.3": "Anspruchsvolles Bergwandern (T3)",
+  "difficulty.foot.4": "Alpinwandern (T4)",
+  "difficulty.foot.5": "Anspruchsvolles Alpinwandern (T5)",
+  "difficulty.foot.6": "Schwieriges Alpinwandern (T6)",
+  "difficulty.cycling.1": "MTB: Leicht (S0)",
+  "difficulty.cycling.2": "MTB: Mittel (S1)",
+  "difficulty.cycling.3": "MTB: Schwierig (S2)",
+  "difficulty.cycling.4": "MTB: Sehr schwierig (S3)",
+  "difficulty.cycling.5": "MTB: Extrem schwierig (S4)",
+  "difficulty.cycling.6": "MTB: Trial (S5)",
+  "difficulty.cycling.7": "MTB: Extrem (S6)",
+  "difficulty.hotspot": "{length} ab {distance} auf der Route",
+
+  // Route summary
+  "summary.time": "Zeit",
+  "summary.engineTime": "Zeit laut Routing",
+  "summary.hikingTime": "Gehzeit",
+  "summary.distance": "Entfernung",
+  "summary.ascent": "Aufstieg",
+  "summary.descent": "Abstieg",
+  "summary.maxDifficulty": "Max. Schwierigkeit",
+  "summary.leg": "Abschnitt",
+  "summary.routeNumber": "Route {number}",
+  "summary.download": "Herunterladen",
+  "summary.downloadTitle": "Route herunterladen",
+  "summary.surfaces": "Beläge",
+  "summary.waytypes": "Wegtypen",
+  "summary.steepness": "Steigung",
+  "summary.trailDifficulty": "Schwierigkeit",
+  "summary.markDifficulty": "Auf der Karte markieren ab:",
+  "summary.markOff": "Aus",
+
+  // Hiking time
+  "hikingTime.model": "Modell:",
+  "hikingTime.paceFactor": "Tempofaktor:",
+  "hikingTime.paceFactorTitle":
+    "1 = Richtzeit, 1,2 = 20 % langsamer, 0,8 = 20 % schneller",
+
+  // Climbs
+  "climbs.climb": "Anstieg",
+  "climbs.start": "Beginn",
+  "climbs.length": "Länge",
+  "climbs.gain": "Höhengewinn",
+  "climbs.average": "Ø",
+  "climbs.max": "Max.",
+  "climbs.category.HC": "HC",
+  "climbs.category.1": "Kat. 1",
+  "climbs.category.2": "Kat. 2",
+  "climbs.category.3": "Kat. 3",
+  "climbs.category.4": "Kat. 4",
+
+  // Planner
+  "app.planRoute": "Route planen",
+  "app.getDirections": "Route berechnen",
+  "app.dropTrack": "GPX-, KML- oder GeoJSON-Track hier ablegen",
+  "app.mode": "Modus:",
+  "app.engine": "Dienst:",
+  "app.units": "Einheiten:",
+  "app.language": "Sprache:",
+  "app.departure": "Abfahrt:",
+  "app.oneWay": "A → B",
+  "app.loop": "Rundtour",
+  "app.loopTarget": "Ziel:",
+  "app.hours": "Stunden",
+  "app.rerollLoop": "Eine andere Rundtour mit demselben Ziel erzeugen",
+  "app.loopNumber": "Rundtour Nr. {seed}",
+  "app.showAlternatives": "Alternativen zeigen",
+  "app.alternativesWithoutVia": "(nur ohne Zwischenziele)",
+  "app.startTitle": "Start: {name}",
+  "app.setStartTitle": "Auf die Karte klicken, um den Start zu setzen",
+  "app.clickForStart": "Start auf Karte wählen",
+  "app.startSet": "Start gesetzt ✓",
+  "app.setStart": "Start setzen",
+  "app.endTitle": "Ziel: {name}",
+  "app.setEndTitle": "Auf die Karte klicken, um das Ziel zu setzen",
+  "app.clickForEnd": "Ziel auf Karte wählen",
+  "app.endSet": "Ziel gesetzt ✓",
+  "app.setEnd": "Ziel setzen",
+  "app.addViaTitle": "Auf die Karte klicken, um Zwischenziele hinzuzufügen",
+  "app.doneAddingVia": "Zwischenziele fertig",
+  "app.addVia": "Zwischenziel hinzufügen",
+  "app.moveUp": "Nach oben",
+  "app.moveDown": "Nach unten",
+  "app.removeVia": "Zwischenziel entfernen",
+  "app.hint.start": "Auf die Karte klicken, um den Startpunkt zu setzen.",
+  "app.hint.end": "Auf die Karte klicken, um den Zielpunkt zu setzen.",
+  "app.hint.via":
+    "Auf die Karte klicken, um Zwischenziele der Reihe nach hinzuzufügen.",
+  "app.hint.isochrone":
+    "Auf die Karte klicken, um zu sehen, was von dort erreichbar ist.",
+  "app.hint.avoid":
+    "Auf die Karte klicken, um den zu meidenden Bereich zu umreißen, dann abschließen.",
+  "app.calculating": "Wird berechnet...",
+  "app.calculateRoute": "Route berechnen",
+  "app.clear": "Zurücksetzen",
+  "app.hideControls": "Steuerung ausblenden",
+  "app.importTitle":
+    "GPX-, KML- oder GeoJSON-Track öffnen oder auf der Karte ablegen",
+  "app.importTrack": "Track importieren…",
+  "app.reach": "Reichweite:",
+  "app.reachTitle": "Durch Kommas getrennte Bereiche, z. B. 30, 60, 120",
+  "app.minutes": "Min.",
+  "app.pickPointTitle":
+    "Auf die Karte klicken, um zu sehen, wie weit man von dort kommt",
+  "app.pickPoint": "Punkt wählen",
+  "app.showReachability": "Erreichbarkeit zeigen",
+  "app.remove": "Entfernen",
+
+  // Avoid
+  "avoid.title": "Meiden",
+  "avoid.ferries": "Fähren",
+  "avoid.steps": "Treppen",
+  "avoid.fords": "Furten",
+  "avoid.unpaved": "Unbefestigte Wege",
+  "avoid.maxSteepness": "Max. Steigung:",
+  "avoid.noLimit": "Keine Grenze",
+  "avoid.drawArea": "Bereich zeichnen",
+  "avoid.drawTitle":
+    "Auf die Karte klicken, um einen Bereich zu umreißen, den die Route nicht betreten darf",
+  "avoid.finishArea": "Bereich abschließen",
+  "avoid.cancel": "Abbrechen",
+  "avoid.areaNumber": "Bereich {number}",
+  "avoid.removeArea": "Bereich entfernen",
+  "avoid.noAreas": "{engine} kann keine Bereiche meiden.",
+
+  // Planner errors
+  "error.noRanges":
+    "Bitte einen oder mehrere Erreichbarkeitsbereiche eingeben, z. B. 30, 60.",
+  "error.needStart": "Bitte einen Startpunkt auf der Karte setzen.",
+  "error.needStartAndEnd": "Bitte Start- und Zielpunkt auf der Karte setzen.",
+  "error.noLoops":
+    "{engine} kann keine Rundtouren erzeugen. Wechsle den Dienst zu OpenRouteService.",
+  "error.pois":
+    "Sehenswertes konnte nicht geladen werden. Später erneut versuchen.",
+  "error.import": "{file} konnte nicht importiert werden. {message}",
+
+  // Track import
+  "import.invalidXml": "Die Datei ist kein gültiges XML.",
+  "import.invalidJson": "Die Datei ist kein gültiges JSON.",
+  "import.unsupportedType": 'Nicht unterstützter Dateityp ".{extension}".',
+  "import.noTrack":
+    "Die Datei enthält keinen Track mit mindestens zwei Punkten.",
+
+  // Track export
+  "export.profile": "Profil",
+  "export.detail": "{label}: {value}",
+};
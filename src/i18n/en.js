@@ -0,0 +1,360 @@
+// src/i18n/en.js
+// English messages, also the fallback for keys missing in other languages.
+
+export default {
+  // Common
+  "common.unknown": "Unknown",
+  "common.start": "Start",
+  "common.end": "End",
+  "common.via": "Via",
+  "common.viaNumber": "Via {number}",
+  "common.error": "Error: {message}",
+
+  // Formatting
+  "format.notAvailable": "N/A",
+  "format.hoursMinutes": "{hours}h {minutes}min",
+  "format.minutes": "{minutes}min",
+
+  // Units
+  "units.metric": "Metric (km, m)",
+  "units.imperial": "Imperial (mi, ft)",
+
+  // Surfaces
+  "surface.unknown": "Unknown",
+  "surface.paved": "Paved",
+  "surface.unpaved": "Unpaved",
+  "surface.asphalt": "Asphalt",
+  "surface.concrete": "Concrete",
+  "surface.cobblestone": "Cobblestone",
+  "surface.metal": "Metal",
+  "surface.wood": "Wood",
+  "surface.compactedGravel": "Compacted Gravel",
+  "surface.fineGravel": "Fine Gravel",
+  "surface.gravel": "Gravel",
+  "surface.dirt": "Dirt",
+  "surface.ground": "Ground",
+  "surface.ice": "Ice",
+  "surface.pavingStones": "Paving Stones",
+  "surface.sand": "Sand",
+  "surface.woodchips": "Woodchips",
+  "surface.grass": "Grass",
+  "surface.grassPaver": "Grass Paver",
+
+  // Way types
+  "waytype.unknown": "Unknown",
+  "waytype.stateRoad": "State Road",
+  "waytype.road": "Road",
+  "waytype.street": "Street",
+  "waytype.path": "Path",
+  "waytype.track": "Track",
+  "waytype.cycleway": "Cycleway",
+  "waytype.footway": "Footway",
+  "waytype.steps": "Steps",
+  "waytype.ferry": "Ferry",
+  "waytype.construction": "Construction",
+
+  // Steepness
+  "steepness.down16": "≥16% down",
+  "steepness.down12": "12-15% down",
+  "steepness.down7": "7-11% down",
+  "steepness.down4": "4-6% down",
+  "steepness.down1": "1-3% down",
+  "steepness.flat": "Flat",
+  "steepness.up1": "1-3% up",
+  "steepness.up4": "4-6% up",
+  "steepness.up7": "7-11% up",
+  "steepness.up12": "12-15% up",
+  "steepness.up16": "≥16% up",
+
+  // Route color modes
+  "colorMode.plain": "Plain",
+  "colorMode.steepness": "Steepness",
+  "colorMode.surface": "Surface",
+  "colorMode.waytype": "Way Type",
+
+  // Points of interest
+  "poi.water": "Water",
+  "poi.hut": "Huts",
+  "poi.shelter": "Shelters",
+  "poi.viewpoint": "Viewpoints",
+  "poi.parking": "Parking",
+  "poi.transport": "Public Transport",
+  "poi.title": "Points of Interest",
+  "poi.within": "within",
+  "poi.searching": "Searching...",
+  "poi.refresh": "Refresh",
+  "poi.find": "Find",
+  "poi.toggleCategory": "Show or hide {category}",
+  "poi.nothingFound": "Nothing found near the route.",
+  "poi.offRoute": "({distance} off)",
+  "poi.alongRoute": "{category} · {distance} along the route",
+
+  // Directions
+  "directions.title": "Directions ({count} steps)",
+  "directions.printTitle": "Print route and directions",
+  "directions.print": "Print",
+
+  // Place search
+  "placeSearch.placeholder": "Search places…",
+  "placeSearch.failed": "Place search failed.",
+  "placeSearch.showOnMap": "Show on map",
+
+  // Turn instructions built on the client (OSRM)
+  "instruction.depart": "Head out",
+  "instruction.arrive": "Arrive at your destination",
+  "instruction.roundabout": "Enter the roundabout and take exit {exit}",
+  "instruction.uturn": "Make a U-turn",
+  "instruction.straight": "Continue straight",
+  "instruction.turn": "Turn",
+  "instruction.left": "Turn left",
+  "instruction.right": "Turn right",
+  "instruction.sharp-left": "Turn sharp left",
+  "instruction.sharp-right": "Turn sharp right",
+  "instruction.slight-left": "Turn slight left",
+  "instruction.slight-right": "Turn slight right",
+  "instruction.onto": "{instruction} onto {name}",
+
+  // Errors
+  "error.fetchFailed.route": "Failed to fetch route.",
+  "error.fetchFailed.isochrones": "Failed to fetch isochrones.",
+  "error.status": "Status: {status}. {detail}",
+  "error.noResponse": "No response received from server.",
+  "error.orsKeyMissing":
+    "OpenRouteService API Key is missing. Check environment variables.",
+  "error.graphhopperKeyMissing":
+    "GraphHopper API Key is missing. Check environment variables.",
+  "error.noRoute": "No route found.",
+  "error.noRouteFeatures": "No route features found in the response.",
+  "error.noRouteProperties": "Route found, but properties data is missing.",
+  "error.noIsochrones": "No isochrones found in the response.",
+
+  // Weather
+  "weather.loading": "Loading weather…",
+  "weather.noForecastForDeparture":
+    "No forecast available for this departure time.",
+  "weather.loadFailed": "Could not load the weather forecast.",
+  "weather.warning.thunderstorm": "Thunderstorms at {distance} around {time}",
+  "weather.warning.rain": "Rain likely at {distance} around {time}",
+  "weather.warning.wind": "Strong gusts at {distance} around {time}",
+  "weather.warning.freezing":
+    "Above the freezing level at {distance} around {time}",
+  "weather.at": "At",
+  "weather.eta": "ETA",
+  "weather.temperature": "Temp",
+  "weather.precipitation": "Precip.",
+  "weather.wind": "Wind",
+  "weather.freezingLevel": "Freezing Lvl",
+  "weather.noForecast": "No forecast",
+
+  // Daylight
+  "daylight.ok": "Arrival around {time}, {margin} of daylight to spare",
+  "daylight.twilight": "Arrival around {time} is after sunset, in twilight",
+  "daylight.dark": "Arrival around {time} is after dark",
+  "daylight.startsInDark": "The departure is before dawn",
+  "daylight.sunrise": "Sunrise {time}",
+  "daylight.sunset": "Sunset {time}",
+  "daylight.dusk": "Dark {time}",
+  "daylight.tooLong": "Too long to finish in daylight",
+  "daylight.latestStart": "Start by {time} to finish before sunset",
+
+  // Route library
+  "library.title": "Saved Routes",
+  "library.close": "Close library",
+  "library.name": "Route name",
+  "library.notes": "Notes",
+  "library.tags": "Tags, comma separated",
+  "library.save": "Save Current Route",
+  "library.ok": "OK",
+  "library.openTitle": "Show this route on the map",
+  "library.rename": "Rename",
+  "library.duplicate": "Duplicate",
+  "library.delete": "Delete",
+  "library.confirmDelete": 'Delete "{name}"?',
+  "library.nothingToSave": "Plan or import a route to save it.",
+  "library.empty": "No saved routes yet.",
+  "library.error.load": "Could not load saved routes.",
+  "library.error.save": "Could not save route.",
+  "library.error.rename": "Could not rename route.",
+  "library.error.duplicate": "Could not duplicate route.",
+  "library.error.delete": "Could not delete route.",
+  "library.copyName": "{name} (copy)",
+  "library.error.unavailable":
+    "Saved routes are not available in this browser.",
+  "library.error.notFound": "Saved route not found.",
+
+  // Profiles
+  "profile.driving-car": "Car",
+  "profile.cycling-road": "Road Bike",
+  "profile.cycling-mountain": "Mountain Bike",
+  "profile.foot-hiking": "Foot (Hiking)",
+
+  // Elevation chart
+  "chart.title": "Elevation Profile",
+  "chart.elevation": "Elevation",
+  "chart.elevationAxis": "Elevation ({unit})",
+  "chart.distanceAxis": "Distance",
+  "chart.distanceTooltip": "Dist: {distance}",
+  "chart.gradeTooltip": "Grade: {grade}",
+  "chart.timeTooltip": "Time: {time}",
+
+  // Map
+  "map.routeColor": "Route color:",
+  "map.highlight": "Highlight on the map",
+  "radar.show": "Show Radar",
+  "radar.hide": "Hide Radar",
+  "radar.showLabel": "Show weather radar",
+  "radar.hideLabel": "Hide weather radar",
+  "radar.play": "Play",
+  "radar.pause": "Pause",
+  "radar.playLabel": "Play radar",
+  "radar.pauseLabel": "Pause radar",
+  "radar.forecastTime": "{time} (forecast)",
+  "radar.loadFailed": "Could not load radar data.",
+
+  // Trail difficulty
+  "difficulty.noTag": "No tag",
+  "difficulty.foot.1": "Hiking (T1)",
+  "difficulty.foot.2": "Mountain hiking (T2)",
+  "difficulty.foot.3": "Demanding mountain hiking (T3)",
+  "difficulty.foot.4": "Alpine hiking (T4)",
+  "difficulty.foot.5": "Demanding alpine hiking (T5)",
+  "difficulty.foot.6": "Difficult alpine hiking (T6)",
+  "difficulty.cycling.1": "MTB: Easy (S0)",
+  "difficulty.cycling.2": "MTB: Medium (S1)",
+  "difficulty.cycling.3": "MTB: Difficult (S2)",
+  "difficulty.cycling.4": "MTB: Very difficult (S3)",
+  "difficulty.cycling.5": "MTB: Extremely difficult (S4)",
+  "difficulty.cycling.6": "MTB: Trials (S5)",
+  "difficulty.cycling.7": "MTB: Insane (S6)",
+  "difficulty.hotspot": "{length} from {distance} along the route",
+
+  // Route summary
+  "summary.time": "Time",
+  "summary.engineTime": "Engine Time",
+  "summary.hikingTime": "Hiking Time",
+  "summary.distance": "Distance",
+  "summary.ascent": "Ascent",
+  "summary.descent": "Descent",
+  "summary.maxDifficulty": "Max Difficulty",
+  "summary.leg": "Leg",
+  "summary.routeNumber": "Route {number}",
+  "summary.download": "Download",
+  "summary.downloadTitle": "Download route",
+  "summary.surfaces": "Surfaces",
+  "summary.waytypes": "Way Types",
+  "summary.steepness": "Steepness",
+  "summary.trailDifficulty": "Difficulty",
+  "summary.markDifficulty": "Mark on the map from:",
+  "summary.markOff": "Off",
+
+  // Hiking time
+  "hikingTime.model": "Model:",
+  "hikingTime.paceFactor": "Pace factor:",
+  "hikingTime.paceFactorTitle":
+    "1 = book time, 1.2 = 20% slower, 0.8 = 20% faster",
+
+  // Climbs
+  "climbs.climb": "Climb",
+  "climbs.start": "Start",
+  "climbs.length": "Length",
+  "climbs.gain": "Gain",
+  "climbs.average": "Avg",
+  "climbs.max": "Max",
+  "climbs.category.HC": "HC",
+  "climbs.category.1": "Cat 1",
+  "climbs.category.2": "Cat 2",
+  "climbs.category.3": "Cat 3",
+  "climbs.category.4": "Cat 4",
+
+  // Planner
+  "app.planRoute": "Plan Route",
+  "app.getDirections": "Get Directions",
+  "app.dropTrack": "Drop a GPX, KML or GeoJSON track",
+  "app.mode": "Mode:",
+  "app.engine": "Engine:",
+  "app.units": "Units:",
+  "app.language": "Language:",
+  "app.departure": "Departure:",
+  "app.oneWay": "A → B",
+  "app.loop": "Loop",
+  "app.loopTarget": "Target:",
+  "app.hours": "hours",
+  "app.rerollLoop": "Generate a different loop with the same target",
+  "app.loopNumber": "Loop #{seed}",
+  "app.showAlternatives": "Show alternatives",
+  "app.alternativesWithoutVia": "(only without via points)",
+  "app.startTitle": "Start: {name}",
+  "app.setStartTitle": "Click map to set start",
+  "app.clickForStart": "Click Map for Start",
+  "app.startSet": "Start Set ✓",
+  "app.setStart": "Set Start Point",
+  "app.endTitle": "End: {name}",
+  "app.setEndTitle": "Click map to set end",
+  "app.clickForEnd": "Click Map for End",
+  "app.endSet": "End Set ✓",
+  "app.setEnd": "Set End Point",
+  "app.addViaTitle": "Click the map to add intermediate points",
+  "app.doneAddingVia": "Done Adding Via",
+  "app.addVia": "Add Via Point",
+  "app.moveUp": "Move up",
+  "app.moveDown": "Move down",
+  "app.removeVia": "Remove via point",
+  "app.hint.start": "Click on the map to set the start point.",
+  "app.hint.end": "Click on the map to set the end point.",
+  "app.hint.via": "Click on the map to add via points in order.",
+  "app.hint.isochrone":
+    "Click on the map to show what is reachable from there.",
+  "app.hint.avoid":
+    "Click on the map to outline the area to avoid, then finish it.",
+  "app.calculating": "Calculating...",
+  "app.calculateRoute": "Calculate Route",
+  "app.clear": "Clear",
+  "app.hideControls": "Hide Controls",
+  "app.importTitle": "Open a GPX, KML or GeoJSON track, or drop it on the map",
+  "app.importTrack": "Import Track…",
+  "app.reach": "Reach:",
+  "app.reachTitle": "Comma separated ranges, e.g. 30, 60, 120",
+  "app.minutes": "min",
+  "app.pickPointTitle": "Click the map to show how far you can get from there",
+  "app.pickPoint": "Pick Point",
+  "app.showReachability": "Show reachability",
+  "app.remove": "Remove",
+
+  // Avoid
+  "avoid.title": "Avoid",
+  "avoid.ferries": "Ferries",
+  "avoid.steps": "Steps",
+  "avoid.fords": "Fords",
+  "avoid.unpaved": "Unpaved roads",
+  "avoid.maxSteepness": "Max. steepness:",
+  "avoid.noLimit": "No limit",
+  "avoid.drawArea": "Draw Area",
+  "avoid.drawTitle":
+    "Click the map to outline an area the route must not enter",
+  "avoid.finishArea": "Finish Area",
+  "avoid.cancel": "Cancel",
+  "avoid.areaNumber": "Area {number}",
+  "avoid.removeArea": "Remove area",
+  "avoid.noAreas": "{engine} cannot avoid areas.",
+
+  // Planner errors
+  "error.noRanges":
+    "Please enter one or more reachability ranges, e.g. 30, 60.",
+  "error.needStart": "Please set a start point on the map.",
+  "error.needStartAndEnd":
+    "Please set both a start and an end point on the map.",
+  "error.noLoops":
+    "{engine} cannot generate loops. Switch the engine to OpenRouteService.",
+  "error.pois": "Could not load points of interest. Try again later.",
+  "error.import": "Could not import {file}. {message}",
+
+  // Track import
+  "import.invalidXml": "The file is not valid XML.",
+  "import.invalidJson": "The file is not valid JSON.",
+  "import.unsupportedType": 'Unsupported file type ".{extension}".',
+  "import.noTrack": "No track with at least two points found in the file.",
+
+  // Track export
+  "export.profile": "Profile",
+  "export.detail": "{label}: {value}",
+};
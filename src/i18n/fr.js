@@ -0,0 +1,369 @@
+// src/i18n/fr.js
+// French messages.
+
+export default {
+  // Common
+  "common.unknown": "Inconnu",
+  "common.start": "Départ",
+  "common.end": "Arrivée",
+  "common.via": "Étape",
+  "common.viaNumber": "Étape {number}",
+  "common.error": "Erreur : {message}",
+
+  // Formatting
+  "format.notAvailable": "N/D",
+  "format.hoursMinutes": "{hours} h {minutes} min",
+  "format.minutes": "{minutes} min",
+
+  // Units
+  "units.metric": "Métrique (km, m)",
+  "units.imperial": "Impérial (mi, ft)",
+
+  // Surfaces
+  "surface.unknown": "Inconnu",
+  "surface.paved": "Revêtu",
+  "surface.unpaved": "Non revêtu",
+  "surface.asphalt": "Asphalte",
+  "surface.concrete": "Béton",
+  "surface.cobblestone": "Pavés",
+  "surface.metal": "Métal",
+  "surface.wood": "Bois",
+  "surface.compactedGravel": "Gravier compacté",
+  "surface.fineGravel": "Gravier fin",
+  "surface.gravel": "Gravier",
+  "surface.dirt": "Terre",
+  "surface.ground": "Sol naturel",
+  "surface.ice": "Glace",
+  "surface.pavingStones": "Dalles",
+  "surface.sand": "Sable",
+  "surface.woodchips": "Copeaux de bois",
+  "surface.grass": "Herbe",
+  "surface.grassPaver": "Dalles gazon",
+
+  // Way types
+  "waytype.unknown": "Inconnu",
+  "waytype.stateRoad": "Route nationale",
+  "waytype.road": "Route",
+  "waytype.street": "Rue",
+  "waytype.path": "Sentier",
+  "waytype.track": "Chemin",
+  "waytype.cycleway": "Piste cyclable",
+  "waytype.footway": "Voie piétonne",
+  "waytype.steps": "Escaliers",
+  "waytype.ferry": "Bac",
+  "waytype.construction": "Travaux",
+
+  // Steepness
+  "steepness.down16": "≥16 % en descente",
+  "steepness.down12": "12-15 % en descente",
+  "steepness.down7": "7-11 % en descente",
+  "steepness.down4": "4-6 % en descente",
+  "steepness.down1": "1-3 % en descente",
+  "steepness.flat": "Plat",
+  "steepness.up1": "1-3 % en montée",
+  "steepness.up4": "4-6 % en montée",
+  "steepness.up7": "7-11 % en montée",
+  "steepness.up12": "12-15 % en montée",
+  "steepness.up16": "≥16 % en montée",
+
+  // Route color modes
+  "colorMode.plain": "Uni",
+  "colorMode.steepness": "Pente",
+  "colorMode.surface": "Revêtement",
+  "colorMode.waytype": "Type de voie",
+
+  // Points of interest
+  "poi.water": "Eau",
+  "poi.hut": "Refuges",
+  "poi.shelter": "Abris",
+  "poi.viewpoint": "Points de vue",
+  "poi.parking": "Parkings",
+  "poi.transport": "Transports en commun",
+  "poi.title": "Points d'intérêt",
+  "poi.within": "à moins de",
+  "poi.searching": "Recherche...",
+  "poi.refresh": "Actualiser",
+  "poi.find": "Chercher",
+  "poi.toggleCategory": "Afficher ou masquer : {category}",
+  "poi.nothingFound": "Rien trouvé près de l'itinéraire.",
+  "poi.offRoute": "(à {distance} de l'itinéraire)",
+  "poi.alongRoute": "{category} · à {distance} sur l'itinéraire",
+
+  // Directions
+  "directions.title": "Instructions ({count} étapes)",
+  "directions.printTitle": "Imprimer l'itinéraire et les instructions",
+  "directions.print": "Imprimer",
+
+  // Place search
+  "placeSearch.placeholder": "Rechercher un lieu…",
+  "placeSearch.failed": "La recherche de lieux a échoué.",
+  "placeSearch.showOnMap": "Afficher sur la carte",
+
+  // Turn instructions built on the client (OSRM)
+  "instruction.depart": "Partez",
+  "instruction.arrive": "Vous êtes arrivé à destination",
+  "instruction.roundabout": "Prenez le rond-point, puis la sortie {exit}",
+  "instruction.uturn": "Faites demi-tour",
+  "instruction.straight": "Continuez tout droit",
+  "instruction.turn": "Tournez",
+  "instruction.left": "Tournez à gauche",
+  "instruction.right": "Tournez à droite",
+  "instruction.sharp-left": "Tournez franchement à gauche",
+  "instruction.sharp-right": "Tournez franchement à droite",
+  "instruction.slight-left": "Tournez légèrement à gauche",
+  "instruction.slight-right": "Tournez légèrement à droite",
+  "instruction.onto": "{instruction} sur {name}",
+
+  // Errors
+  "error.fetchFailed.route": "Impossible de calculer l'itinéraire.",
+  "error.fetchFailed.isochrones": "Impossible de calculer les isochrones.",
+  "error.status": "Statut : {status}. {detail}",
+  "error.noResponse": "Aucune réponse du serveur.",
+  "error.orsKeyMissing":
+    "La clé API OpenRouteService est manquante. Vérifiez les variables d'environnement.",
+  "error.graphhopperKeyMissing":
+    "La clé API GraphHopper est manquante. Vérifiez les variables d'environnement.",
+  "error.noRoute": "Aucun itinéraire trouvé.",
+  "error.noRouteFeatures": "La réponse ne contient aucun itinéraire.",
+  "error.noRouteProperties":
+    "Itinéraire trouvé, mais ses propriétés sont manquantes.",
+  "error.noIsochrones": "La réponse ne contient aucune isochrone.",
+
+  // Weather
+  "weather.loading": "Chargement de la météo…",
+  "weather.noForecastForDeparture":
+    "Aucune prévision disponible pour cette heure de départ.",
+  "weather.loadFailed": "Impossible de charger les prévisions météo.",
+  "weather.warning.thunderstorm": "Orages à {distance} vers {time}",
+  "weather.warning.rain": "Pluie probable à {distance} vers {time}",
+  "weather.warning.wind": "Fortes rafales à {distance} vers {time}",
+  "weather.warning.freezing":
+    "Au-dessus de l'isotherme 0 °C à {distance} vers {time}",
+  "weather.at": "À",
+  "weather.eta": "Heure",
+  "weather.temperature": "Temp.",
+  "weather.precipitation": "Précip.",
+  "weather.wind": "Vent",
+  "weather.freezingLevel": "Iso. 0 °C",
+  "weather.noForecast": "Pas de prévision",
+
+  // Daylight
+  "daylight.ok": "Arrivée vers {time}, avec {margin} de jour en réserve",
+  "daylight.twilight":
+    "Arrivée vers {time}, après le coucher du soleil, au crépuscule",
+  "daylight.dark": "Arrivée vers {time}, à la nuit tombée",
+  "daylight.startsInDark": "Le départ a lieu avant l'aube",
+  "daylight.sunrise": "Lever {time}",
+  "daylight.sunset": "Coucher {time}",
+  "daylight.dusk": "Nuit {time}",
+  "daylight.tooLong": "Trop long pour finir de jour",
+  "daylight.latestStart":
+    "Partez avant {time} pour finir avant le coucher du soleil",
+
+  // Route library
+  "library.title": "Itinéraires enregistrés",
+  "library.close": "Fermer la bibliothèque",
+  "library.name": "Nom de l'itinéraire",
+  "library.notes": "Notes",
+  "library.tags": "Mots-clés, séparés par des virgules",
+  "library.save": "Enregistrer l'itinéraire actuel",
+  "library.ok": "OK",
+  "library.openTitle": "Afficher cet itinéraire sur la carte",
+  "library.rename": "Renommer",
+  "library.duplicate": "Dupliquer",
+  "library.delete": "Supprimer",
+  "library.confirmDelete": "Supprimer « {name} » ?",
+  "library.nothingToSave":
+    "Planifiez ou importez un itinéraire pour l'enregistrer.",
+  "library.empty": "Aucun itinéraire enregistré.",
+  "library.error.load": "Impossible de charger les itinéraires enregistrés.",
+  "library.error.save": "Impossible d'enregistrer l'itinéraire.",
+  "library.error.rename": "Impossible de renommer l'itinéraire.",
+  "library.error.duplicate": "Impossible de dupliquer l'itinéraire.",
+  "library.error.delete": "Impossible de supprimer l'itinéraire.",
+  "library.copyName": "{name} (copie)",
+  "library.error.unavailable":
+    "Les itinéraires enregistrés ne sont pas disponibles dans ce navigateur.",
+  "library.error.notFound": "Itinéraire enregistré introuvable.",
+
+  // Profiles
+  "profile.driving-car": "Voiture",
+  "profile.cycling-road": "Vélo de route",
+  "profile.cycling-mountain": "VTT",
+  "profile.foot-hiking": "À pied (randonnée)",
+
+  // Elevation chart
+  "chart.title": "Profil altimétrique",
+  "chart.elevation": "Altitude",
+  "chart.elevationAxis": "Altitude ({unit})",
+  "chart.distanceAxis": "Distance",
+  "chart.distanceTooltip": "Dist. : {distance}",
+  "chart.gradeTooltip": "Pente : {grade}",
+  "chart.timeTooltip": "Temps : {time}",
+
+  // Map
+  "map.routeColor": "Couleur de l'itinéraire :",
+  "map.highlight": "Mettre en évidence sur la carte",
+  "radar.show": "Afficher le radar",
+  "radar.hide": "Masquer le radar",
+  "radar.showLabel": "Afficher le radar météo",
+  "radar.hideLabel": "Masquer le radar météo",
+  "radar.play": "Lecture",
+  "radar.pause": "Pause",
+  "radar.playLabel": "Lancer le radar",
+  "radar.pauseLabel": "Mettre le radar en pause",
+  "radar.forecastTime": "{time} (prévision)",
+  "radar.loadFailed": "Impossible de charger les données radar.",
+
+  // Trail difficulty
+  "difficulty.noTag": "Non renseignée",
+  "difficulty.foot.1": "Randonnée (T1)",
+  "difficulty.foot.2": "Randonnée en montagne (T2)",
+  "difficulty.foot.3": "Randonnée en montagne exigeante (T3)",
+  "difficulty.foot.4": "Randonnée alpine (T4)",
+  "difficulty.foot.5": "Randonnée alpine exigeante (T5)",
+  "difficulty.foot.6": "Randonnée alpine difficile (T6)",
+  "difficulty.cycling.1": "VTT : Facile (S0)",
+  "difficulty.cycling.2": "VTT : Moyen (S1)",
+  "difficulty.cycling.3": "VTT : Difficile (S2)",
+  "difficulty.cycling.4": "VTT : Très difficile (S3)",
+  "difficulty.cycling.5": "VTT : Extrêmement difficile (S4)",
+  "difficulty.cycling.6": "VTT : Trial (S5)",
+  "difficulty.cycling.7": "VTT : Extrême (S6)",
+  "difficulty.hotspot": "{length} à partir de {distance} sur l'itinéraire",
+
+  // Route summary
+  "summary.time": "Temps",
+  "summary.engineTime": "Temps du moteur",
+  "summary.hikingTime": "Temps de marche",
+  "summary.distance": "Distance",
+  "summary.ascent": "Montée",
+  "summary.descent": "Descente",
+  "summary.maxDifficulty": "Difficulté max.",
+  "summary.leg": "Tronçon",
+  "summary.routeNumber": "Itinéraire {number}",
+  "summary.download": "Télécharger",
+  "summary.downloadTitle": "Télécharger l'itinéraire",
+  "summary.surfaces": "Revêtements",
+  "summary.waytypes": "Types de voie",
+  "summary.steepness": "Pente",
+  "summary.trailDifficulty": "Difficulté",
+  "summary.markDifficulty": "Marquer sur la carte à partir de :",
+  "summary.markOff": "Désactivé",
+
+  // Hiking time
+  "hikingTime.model": "Modèle :",
+  "hikingTime.paceFactor": "Facteur d'allure :",
+  "hikingTime.paceFactorTitle":
+    "1 = temps des topos, 1,2 = 20 % plus lent, 0,8 = 20 % plus rapide",
+
+  // Climbs
+  "climbs.climb": "Montée",
+  "climbs.start": "Début",
+  "climbs.length": "Longueur",
+  "climbs.gain": "Dénivelé",
+  "climbs.average": "Moy.",
+  "climbs.max": "Max.",
+  "climbs.category.HC": "HC",
+  "climbs.category.1": "1re cat.",
+  "climbs.category.2": "2e cat.",
+  "climbs.category.3": "3e cat.",
+  "climbs.category.4": "4e cat.",
+
+  // Planner
+  "app.planRoute": "Planifier",
+  "app.getDirections": "Itinéraire",
+  "app.dropTrack": "Déposez une trace GPX, KML ou GeoJSON",
+  "app.mode": "Mode :",
+  "app.engine": "Moteur :",
+  "app.units": "Unités :",
+  "app.language": "Langue :",
+  "app.departure": "Départ :",
+  "app.oneWay": "A → B",
+  "app.loop": "Boucle",
+  "app.loopTarget": "Objectif :",
+  "app.hours": "heures",
+  "app.rerollLoop": "Générer une autre boucle avec le même objectif",
+  "app.loopNumber": "Boucle n° {seed}",
+  "app.showAlternatives": "Afficher les alternatives",
+  "app.alternativesWithoutVia": "(uniquement sans étapes)",
+  "app.startTitle": "Départ : {name}",
+  "app.setStartTitle": "Cliquez sur la carte pour placer le départ",
+  "app.clickForStart": "Cliquez le départ",
+  "app.startSet": "Départ placé ✓",
+  "app.setStart": "Placer le départ",
+  "app.endTitle": "Arrivée : {name}",
+  "app.setEndTitle": "Cliquez sur la carte pour placer l'arrivée",
+  "app.clickForEnd": "Cliquez l'arrivée",
+  "app.endSet": "Arrivée placée ✓",
+  "app.setEnd": "Placer l'arrivée",
+  "app.addViaTitle":
+    "Cliquez sur la carte pour ajouter des points intermédiaires",
+  "app.doneAddingVia": "Fin des étapes",
+  "app.addVia": "Ajouter une étape",
+  "app.moveUp": "Monter",
+  "app.moveDown": "Descendre",
+  "app.removeVia": "Supprimer l'étape",
+  "app.hint.start": "Cliquez sur la carte pour placer le point de départ.",
+  "app.hint.end": "Cliquez sur la carte pour placer le point d'arrivée.",
+  "app.hint.via": "Cliquez sur la carte pour ajouter les étapes dans l'ordre.",
+  "app.hint.isochrone":
+    "Cliquez sur la carte pour voir ce qui est accessible depuis ce point.",
+  "app.hint.avoid":
+    "Cliquez sur la carte pour délimiter la zone à éviter, puis terminez-la.",
+  "app.calculating": "Calcul en cours...",
+  "app.calculateRoute": "Calculer l'itinéraire",
+  "app.clear": "Effacer",
+  "app.hideControls": "Masquer les commandes",
+  "app.importTitle":
+    "Ouvrez une trace GPX, KML ou GeoJSON, ou déposez-la sur la carte",
+  "app.importTrack": "Importer une trace…",
+  "app.reach": "Portée :",
+  "app.reachTitle": "Plages séparées par des virgules, p. ex. 30, 60, 120",
+  "app.minutes": "min",
+  "app.pickPointTitle":
+    "Cliquez sur la carte pour voir jusqu'où on peut aller depuis ce point",
+  "app.pickPoint": "Choisir un point",
+  "app.showReachability": "Afficher l'accessibilité",
+  "app.remove": "Supprimer",
+
+  // Avoid
+  "avoid.title": "Éviter",
+  "avoid.ferries": "Bacs",
+  "avoid.steps": "Escaliers",
+  "avoid.fords": "Gués",
+  "avoid.unpaved": "Routes non revêtues",
+  "avoid.maxSteepness": "Pente max. :",
+  "avoid.noLimit": "Sans limite",
+  "avoid.drawArea": "Dessiner une zone",
+  "avoid.drawTitle":
+    "Cliquez sur la carte pour délimiter une zone où l'itinéraire ne doit pas entrer",
+  "avoid.finishArea": "Terminer la zone",
+  "avoid.cancel": "Annuler",
+  "avoid.areaNumber": "Zone {number}",
+  "avoid.removeArea": "Supprimer la zone",
+  "avoid.noAreas": "{engine} ne sait pas éviter des zones.",
+
+  // Planner errors
+  "error.noRanges":
+    "Saisissez une ou plusieurs plages d'accessibilité, p. ex. 30, 60.",
+  "error.needStart": "Placez un point de départ sur la carte.",
+  "error.needStartAndEnd": "Placez un départ et une arrivée sur la carte.",
+  "error.noLoops":
+    "{engine} ne sait pas générer de boucles. Choisissez le moteur OpenRouteService.",
+  "error.pois":
+    "Impossible de charger les points d'intérêt. Réessayez plus tard.",
+  "error.import": "Impossible d'importer {file}. {message}",
+
+  // Track import
+  "import.invalidXml": "Le fichier n'est pas un XML valide.",
+  "import.invalidJson": "Le fichier n'est pas un JSON valide.",
+  "import.unsupportedType":
+    'Type de fichier ".{extension}" non pris en charge.',
+  "import.noTrack":
+    "Le fichier ne contient aucune trace d'au moins deux points.",
+
+  // Track export
+  "export.profile": "Profil",
+  "export.detail": "{label} : {value}",
+};
@@ -0,0 +1,70 @@
+// src/i18n/index.js
+// Small translation layer: one flat message catalog per language, the current
+// language (detected from the browser, overridable and remembered between
+// sessions) and t() to look messages up.
+
+import { useSyncExternalStore } from "react";
+import en from "./en";
+import it from "./it";
+import de from "./de";
+import fr from "./fr";
+
+// Languages offered in the picker, labelled in their own language
+export const LANGUAGES = {
+  en: { label: "English", messages: en },
+  it: { label: "Italiano", messages: it },
+  de: { label: "Deutsch", messages: de },
+  fr: { label: "Français", messages: fr },
+};
+export const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGE_STORAGE_KEY = "hiker.language";
+
+// First supported language in the browser's preferences
+export const detectLanguage = () => {
+  const preferred = navigator.languages?.length
+    ? navigator.languages
+    : [navigator.language];
+  const match = preferred
+    .map((tag) => tag?.slice(0, 2).toLowerCase())
+    .find((code) => LANGUAGES[code]);
+  return match || DEFAULT_LANGUAGE;
+};
+
+let currentLanguage = (() => {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  return LANGUAGES[stored] ? stored : detectLanguage();
+})();
+document.documentElement.lang = currentLanguage;
+
+const listeners = new Set();
+
+export const getLanguage = () => currentLanguage;
+
+// Switch language (remembered) and re-render everything using useLanguage()
+export const setLanguage = (language) => {
+  if (!LANGUAGES[language] || language === currentLanguage) return;
+  currentLanguage = language;
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  document.documentElement.lang = language;
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Current language as React state. Components that translate text, including
+// memoized ones, call this so they re-render when the language changes.
+export const useLanguage = () => useSyncExternalStore(subscribe, getLanguage);
+
+// Message for `key` in the current language, falling back to English and then
+// to the key itself. "{name}" placeholders are filled from `params`.
+export const t = (key, params) => {
+  const message = LANGUAGES[currentLanguage].messages[key] ?? en[key] ?? key;
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
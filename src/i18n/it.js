@@ -0,0 +1,363 @@
+// src/i18n/it.js
+// Italian messages.
+
+export default {
+  // Common
+  "common.unknown": "Sconosciuto",
+  "common.start": "Partenza",
+  "common.end": "Arrivo",
+  "common.via": "Tappa",
+  "common.viaNumber": "Tappa {number}",
+  "common.error": "Errore: {message}",
+
+  // Formatting
+  "format.notAvailable": "N/D",
+  "format.hoursMinutes": "{hours} h {minutes} min",
+  "format.minutes": "{minutes} min",
+
+  // Units
+  "units.metric": "Metrico (km, m)",
+  "units.imperial": "Imperiale (mi, ft)",
+
+  // Surfaces
+  "surface.unknown": "Sconosciuto",
+  "surface.paved": "Pavimentato",
+  "surface.unpaved": "Sterrato",
+  "surface.asphalt": "Asfalto",
+  "surface.concrete": "Cemento",
+  "surface.cobblestone": "Acciottolato",
+  "surface.metal": "Metallo",
+  "surface.wood": "Legno",
+  "surface.compactedGravel": "Ghiaia compatta",
+  "surface.fineGravel": "Ghiaia fine",
+  "surface.gravel": "Ghiaia",
+  "surface.dirt": "Terra battuta",
+  "surface.ground": "Terreno",
+  "surface.ice": "Ghiaccio",
+  "surface.pavingStones": "Lastricato",
+  "surface.sand": "Sabbia",
+  "surface.woodchips": "Trucioli di legno",
+  "surface.grass": "Erba",
+  "surface.grassPaver": "Grigliato erboso",
+
+  // Way types
+  "waytype.unknown": "Sconosciuto",
+  "waytype.stateRoad": "Strada statale",
+  "waytype.road": "Strada",
+  "waytype.street": "Via",
+  "waytype.path": "Sentiero",
+  "waytype.track": "Carrareccia",
+  "waytype.cycleway": "Pista ciclabile",
+  "waytype.footway": "Percorso pedonale",
+  "waytype.steps": "Scalinata",
+  "waytype.ferry": "Traghetto",
+  "waytype.construction": "Lavori in corso",
+
+  // Steepness
+  "steepness.down16": "≥16% in discesa",
+  "steepness.down12": "12-15% in discesa",
+  "steepness.down7": "7-11% in discesa",
+  "steepness.down4": "4-6% in discesa",
+  "steepness.down1": "1-3% in discesa",
+  "steepness.flat": "Pianeggiante",
+  "steepness.up1": "1-3% in salita",
+  "steepness.up4": "4-6% in salita",
+  "steepness.up7": "7-11% in salita",
+  "steepness.up12": "12-15% in salita",
+  "steepness.up16": "≥16% in salita",
+
+  // Route color modes
+  "colorMode.plain": "Semplice",
+  "colorMode.steepness": "Pendenza",
+  "colorMode.surface": "Fondo",
+  "colorMode.waytype": "Tipo di strada",
+
+  // Points of interest
+  "poi.water": "Acqua",
+  "poi.hut": "Rifugi",
+  "poi.shelter": "Ripari",
+  "poi.viewpoint": "Punti panoramici",
+  "poi.parking": "Parcheggi",
+  "poi.transport": "Trasporti pubblici",
+  "poi.title": "Punti di interesse",
+  "poi.within": "entro",
+  "poi.searching": "Ricerca...",
+  "poi.refresh": "Aggiorna",
+  "poi.find": "Cerca",
+  "poi.toggleCategory": "Mostra o nascondi: {category}",
+  "poi.nothingFound": "Nessun risultato vicino al percorso.",
+  "poi.offRoute": "(a {distance} dal percorso)",
+  "poi.alongRoute": "{category} · a {distance} lungo il percorso",
+
+  // Directions
+  "directions.title": "Indicazioni ({count} passi)",
+  "directions.printTitle": "Stampa percorso e indicazioni",
+  "directions.print": "Stampa",
+
+  // Place search
+  "placeSearch.placeholder": "Cerca luoghi…",
+  "placeSearch.failed": "Ricerca dei luoghi non riuscita.",
+  "placeSearch.showOnMap": "Mostra sulla mappa",
+
+  // Turn instructions built on the client (OSRM)
+  "instruction.depart": "Parti",
+  "instruction.arrive": "Sei arrivato a destinazione",
+  "instruction.roundabout": "Entra nella rotatoria e prendi l'uscita {exit}",
+  "instruction.uturn": "Fai inversione a U",
+  "instruction.straight": "Prosegui dritto",
+  "instruction.turn": "Svolta",
+  "instruction.left": "Svolta a sinistra",
+  "instruction.right": "Svolta a destra",
+  "instruction.sharp-left": "Svolta decisamente a sinistra",
+  "instruction.sharp-right": "Svolta decisamente a destra",
+  "instruction.slight-left": "Tieni leggermente la sinistra",
+  "instruction.slight-right": "Tieni leggermente la destra",
+  "instruction.onto": "{instruction} su {name}",
+
+  // Errors
+  "error.fetchFailed.route": "Impossibile calcolare il percorso.",
+  "error.fetchFailed.isochrones": "Impossibile calcolare le isocrone.",
+  "error.status": "Stato: {status}. {detail}",
+  "error.noResponse": "Nessuna risposta dal server.",
+  "error.orsKeyMissing":
+    "Manca la chiave API di OpenRouteService. Controlla le variabili d'ambiente.",
+  "error.graphhopperKeyMissing":
+    "Manca la chiave API di GraphHopper. Controlla le variabili d'ambiente.",
+  "error.noRoute": "Nessun percorso trovato.",
+  "error.noRouteFeatures": "Nessun percorso nella risposta.",
+  "error.noRouteProperties":
+    "Percorso trovato, ma mancano i dati delle proprietà.",
+  "error.noIsochrones": "Nessuna isocrona nella risposta.",
+
+  // Weather
+  "weather.loading": "Caricamento meteo…",
+  "weather.noForecastForDeparture":
+    "Nessuna previsione disponibile per quest'orario di partenza.",
+  "weather.loadFailed": "Impossibile caricare le previsioni meteo.",
+  "weather.warning.thunderstorm": "Temporali a {distance} verso le {time}",
+  "weather.warning.rain": "Probabile pioggia a {distance} verso le {time}",
+  "weather.warning.wind": "Raffiche forti a {distance} verso le {time}",
+  "weather.warning.freezing":
+    "Sopra lo zero termico a {distance} verso le {time}",
+  "weather.at": "A",
+  "weather.eta": "Ora",
+  "weather.temperature": "Temp.",
+  "weather.precipitation": "Precip.",
+  "weather.wind": "Vento",
+  "weather.freezingLevel": "Zero termico",
+  "weather.noForecast": "Nessuna previsione",
+
+  // Daylight
+  "daylight.ok":
+    "Arrivo verso le {time}, con {margin} di luce ancora a disposizione",
+  "daylight.twilight":
+    "Arrivo verso le {time}, dopo il tramonto, al crepuscolo",
+  "daylight.dark": "Arrivo verso le {time}, quando è già buio",
+  "daylight.startsInDark": "La partenza è prima dell'alba",
+  "daylight.sunrise": "Alba {time}",
+  "daylight.sunset": "Tramonto {time}",
+  "daylight.dusk": "Buio {time}",
+  "daylight.tooLong": "Troppo lungo per finire con la luce",
+  "daylight.latestStart": "Parti entro le {time} per finire prima del tramonto",
+
+  // Route library
+  "library.title": "Percorsi salvati",
+  "library.close": "Chiudi l'archivio",
+  "library.name": "Nome del percorso",
+  "library.notes": "Note",
+  "library.tags": "Etichette, separate da virgole",
+  "library.save": "Salva il percorso attuale",
+  "library.ok": "OK",
+  "library.openTitle": "Mostra questo percorso sulla mappa",
+  "library.rename": "Rinomina",
+  "library.duplicate": "Duplica",
+  "library.delete": "Elimina",
+  "library.confirmDelete": 'Eliminare "{name}"?',
+  "library.nothingToSave": "Pianifica o importa un percorso per salvarlo.",
+  "library.empty": "Nessun percorso salvato.",
+  "library.error.load": "Impossibile caricare i percorsi salvati.",
+  "library.error.save": "Impossibile salvare il percorso.",
+  "library.error.rename": "Impossibile rinominare il percorso.",
+  "library.error.duplicate": "Impossibile duplicare il percorso.",
+  "library.error.delete": "Impossibile eliminare il percorso.",
+  "library.copyName": "{name} (copia)",
+  "library.error.unavailable":
+    "I percorsi salvati non sono disponibili in questo browser.",
+  "library.error.notFound": "Percorso salvato non trovato.",
+
+  // Profiles
+  "profile.driving-car": "Auto",
+  "profile.cycling-road": "Bici da corsa",
+  "profile.cycling-mountain": "Mountain bike",
+  "profile.foot-hiking": "A piedi (escursionismo)",
+
+  // Elevation chart
+  "chart.title": "Profilo altimetrico",
+  "chart.elevation": "Quota",
+  "chart.elevationAxis": "Quota ({unit})",
+  "chart.distanceAxis": "Distanza",
+  "chart.distanceTooltip": "Dist.: {distance}",
+  "chart.gradeTooltip": "Pendenza: {grade}",
+  "chart.timeTooltip": "Tempo: {time}",
+
+  // Map
+  "map.routeColor": "Colore percorso:",
+  "map.highlight": "Evidenzia sulla mappa",
+  "radar.show": "Mostra radar",
+  "radar.hide": "Nascondi radar",
+  "radar.showLabel": "Mostra il radar meteo",
+  "radar.hideLabel": "Nascondi il radar meteo",
+  "radar.play": "Riproduci",
+  "radar.pause": "Pausa",
+  "radar.playLabel": "Riproduci il radar",
+  "radar.pauseLabel": "Metti in pausa il radar",
+  "radar.forecastTime": "{time} (previsione)",
+  "radar.loadFailed": "Impossibile caricare i dati radar.",
+
+  // Trail difficulty
+  "difficulty.noTag": "Non indicata",
+  "difficulty.foot.1": "Escursionismo (T1)",
+  "difficulty.foot.2": "Escursionismo in montagna (T2)",
+  "difficulty.foot.3": "Escursionismo in montagna impegnativo (T3)",
+  "difficulty.foot.4": "Escursionismo alpino (T4)",
+  "difficulty.foot.5": "Escursionismo alpino impegnativo (T5)",
+  "difficulty.foot.6": "Escursionismo alpino difficile (T6)",
+  "difficulty.cycling.1": "MTB: Facile (S0)",
+  "difficulty.cycling.2": "MTB: Medio (S1)",
+  "difficulty.cycling.3": "MTB: Difficile (S2)",
+  "difficulty.cycling.4": "MTB: Molto difficile (S3)",
+  "difficulty.cycling.5": "MTB: Estremamente difficile (S4)",
+  "difficulty.cycling.6": "MTB: Trial (S5)",
+  "difficulty.cycling.7": "MTB: Estremo (S6)",
+  "difficulty.hotspot": "{length} da {distance} lungo il percorso",
+
+  // Route summary
+  "summary.time": "Tempo",
+  "summary.engineTime": "Tempo motore",
+  "summary.hikingTime": "Tempo di percorrenza",
+  "summary.distance": "Distanza",
+  "summary.ascent": "Salita",
+  "summary.descent": "Discesa",
+  "summary.maxDifficulty": "Difficoltà max",
+  "summary.leg": "Tratto",
+  "summary.routeNumber": "Percorso {number}",
+  "summary.download": "Scarica",
+  "summary.downloadTitle": "Scarica il percorso",
+  "summary.surfaces": "Fondi",
+  "summary.waytypes": "Tipi di strada",
+  "summary.steepness": "Pendenza",
+  "summary.trailDifficulty": "Difficoltà",
+  "summary.markDifficulty": "Segna sulla mappa da:",
+  "summary.markOff": "Nessuno",
+
+  // Hiking time
+  "hikingTime.model": "Modello:",
+  "hikingTime.paceFactor": "Fattore di passo:",
+  "hikingTime.paceFactorTitle":
+    "1 = tempo da guida, 1,2 = 20% più lento, 0,8 = 20% più veloce",
+
+  // Climbs
+  "climbs.climb": "Salita",
+  "climbs.start": "Inizio",
+  "climbs.length": "Lunghezza",
+  "climbs.gain": "Dislivello",
+  "climbs.average": "Media",
+  "climbs.max": "Max",
+  "climbs.category.HC": "HC",
+  "climbs.category.1": "1ª cat.",
+  "climbs.category.2": "2ª cat.",
+  "climbs.category.3": "3ª cat.",
+  "climbs.category.4": "4ª cat.",
+
+  // Planner
+  "app.planRoute": "Pianifica percorso",
+  "app.getDirections": "Indicazioni",
+  "app.dropTrack": "Rilascia una traccia GPX, KML o GeoJSON",
+  "app.mode": "Mezzo:",
+  "app.engine": "Motore:",
+  "app.units": "Unità:",
+  "app.language": "Lingua:",
+  "app.departure": "Partenza:",
+  "app.oneWay": "A → B",
+  "app.loop": "Anello",
+  "app.loopTarget": "Obiettivo:",
+  "app.hours": "ore",
+  "app.rerollLoop": "Genera un anello diverso con lo stesso obiettivo",
+  "app.loopNumber": "Anello n. {seed}",
+  "app.showAlternatives": "Mostra alternative",
+  "app.alternativesWithoutVia": "(solo senza tappe)",
+  "app.startTitle": "Partenza: {name}",
+  "app.setStartTitle": "Clicca sulla mappa per impostare la partenza",
+  "app.clickForStart": "Clicca la partenza",
+  "app.startSet": "Partenza impostata ✓",
+  "app.setStart": "Imposta partenza",
+  "app.endTitle": "Arrivo: {name}",
+  "app.setEndTitle": "Clicca sulla mappa per impostare l'arrivo",
+  "app.clickForEnd": "Clicca l'arrivo",
+  "app.endSet": "Arrivo impostato ✓",
+  "app.setEnd": "Imposta arrivo",
+  "app.addViaTitle": "Clicca sulla mappa per aggiungere punti intermedi",
+  "app.doneAddingVia": "Fine tappe",
+  "app.addVia": "Aggiungi tappa",
+  "app.moveUp": "Sposta su",
+  "app.moveDown": "Sposta giù",
+  "app.removeVia": "Rimuovi tappa",
+  "app.hint.start": "Clicca sulla mappa per impostare la partenza.",
+  "app.hint.end": "Clicca sulla mappa per impostare l'arrivo.",
+  "app.hint.via": "Clicca sulla mappa per aggiungere le tappe in ordine.",
+  "app.hint.isochrone":
+    "Clicca sulla mappa per vedere cosa si raggiunge da lì.",
+  "app.hint.avoid":
+    "Clicca sulla mappa per delimitare l'area da evitare, poi completala.",
+  "app.calculating": "Calcolo in corso...",
+  "app.calculateRoute": "Calcola percorso",
+  "app.clear": "Cancella",
+  "app.hideControls": "Nascondi comandi",
+  "app.importTitle":
+    "Apri una traccia GPX, KML o GeoJSON, o rilasciala sulla mappa",
+  "app.importTrack": "Importa traccia…",
+  "app.reach": "Raggio:",
+  "app.reachTitle": "Intervalli separati da virgole, es. 30, 60, 120",
+  "app.minutes": "min",
+  "app.pickPointTitle": "Clicca sulla mappa per vedere fin dove arrivi da lì",
+  "app.pickPoint": "Scegli punto",
+  "app.showReachability": "Mostra raggiungibilità",
+  "app.remove": "Rimuovi",
+
+  // Avoid
+  "avoid.title": "Evita",
+  "avoid.ferries": "Traghetti",
+  "avoid.steps": "Scalinate",
+  "avoid.fords": "Guadi",
+  "avoid.unpaved": "Strade sterrate",
+  "avoid.maxSteepness": "Pendenza max:",
+  "avoid.noLimit": "Nessun limite",
+  "avoid.drawArea": "Disegna area",
+  "avoid.drawTitle":
+    "Clicca sulla mappa per delimitare un'area in cui il percorso non deve entrare",
+  "avoid.finishArea": "Completa area",
+  "avoid.cancel": "Annulla",
+  "avoid.areaNumber": "Area {number}",
+  "avoid.removeArea": "Rimuovi area",
+  "avoid.noAreas": "{engine} non può evitare aree.",
+
+  // Planner errors
+  "error.noRanges":
+    "Inserisci uno o più intervalli di raggiungibilità, es. 30, 60.",
+  "error.needStart": "Imposta un punto di partenza sulla mappa.",
+  "error.needStartAndEnd": "Imposta sulla mappa sia la partenza sia l'arrivo.",
+  "error.noLoops":
+    "{engine} non può generare anelli. Passa al motore OpenRouteService.",
+  "error.pois": "Impossibile caricare i punti di interesse. Riprova più tardi.",
+  "error.import": "Impossibile importare {file}. {message}",
+
+  // Track import
+  "import.invalidXml": "Il file non è un XML valido.",
+  "import.invalidJson": "Il file non è un JSON valido.",
+  "import.unsupportedType": 'Tipo di file ".{extension}" non supportato.',
+  "import.noTrack": "Nel file non c'è una traccia con almeno due punti.",
+
+  // Track export
+  "export.profile": "Profilo",
+  "export.detail": "{label}: {value}",
+};
@@ -0,0 +1,131 @@
+// src/pois.js
+// Points of interest near the route (water, huts, shelters, ...) from the
+// OpenStreetMap Overpass API, placed by their distance along the route.
+
+import axios from "axios";
+import {
+  calculateDistance,
+  cumulativeDistances,
+  findNearestCoordinateIndex,
+} from "./geoUtils";
+
+// Endpoint can point at a private Overpass instance or a local stand-in
+export const OVERPASS_URL =
+  import.meta.env.VITE_OVERPASS_URL ||
+  "https://overpass-api.de/api/interpreter";
+
+// Category -> OSM tags that put a feature in it (any of them matches);
+// labelKey is a message key
+export const POI_CATEGORIES = {
+  water: {
+    labelKey: "poi.water",
+    icon: "💧",
+    color: "rgb(0, 122, 255)",
+    tags: [
+      ["amenity", "drinking_water"],
+      ["natural", "spring"],
+      ["man_made", "water_tap"],
+    ],
+  },
+  hut: {
+    labelKey: "poi.hut",
+    icon: "🏠",
+    color: "rgb(175, 82, 222)",
+    tags: [
+      ["tourism", "alpine_hut"],
+      ["tourism", "wilderness_hut"],
+    ],
+  },
+  shelter: {
+    labelKey: "poi.shelter",
+    icon: "⛺",
+    color: "rgb(162, 132, 94)",
+    tags: [["amenity", "shelter"]],
+  },
+  viewpoint: {
+    labelKey: "poi.viewpoint",
+    icon: "👁",
+    color: "rgb(52, 199, 89)",
+    tags: [["tourism", "viewpoint"]],
+  },
+  parking: {
+    labelKey: "poi.parking",
+    icon: "🅿",
+    color: "rgb(88, 86, 214)",
+    tags: [["amenity", "parking"]],
+  },
+  transport: {
+    labelKey: "poi.transport",
+    icon: "🚌",
+    color: "rgb(255, 59, 48)",
+    tags: [
+      ["highway", "bus_stop"],
+      ["railway", "station"],
+      ["railway", "halt"],
+      ["aerialway", "station"],
+    ],
+  },
+};
+
+export const POI_BUFFER_OPTIONS = [100, 250, 500, 1000]; // meters
+export const DEFAULT_POI_BUFFER = 250;
+
+// Overpass rejects huge queries; a few hundred line points are plenty for a
+// corridor that is at least 100 m wide
+const MAX_QUERY_POINTS = 300;
+
+const getPoiCategory = (tags = {}) =>
+  Object.keys(POI_CATEGORIES).find((category) =>
+    POI_CATEGORIES[category].tags.some(([key, value]) => tags[key] === value)
+  );
+
+// Overpass QL for every category within `buffer` meters of the line
+const buildOverpassQuery = (coordinates, buffer) => {
+  const step = Math.ceil(coordinates.length / MAX_QUERY_POINTS);
+  const line = coordinates
+    .filter((_, i) => i % step === 0 || i === coordinates.length - 1)
+    .map(([lng, lat]) => `${lat.toFixed(5)},${lng.toFixed(5)}`)
+    .join(",");
+  const around = `(around:${buffer},${line})`;
+  const filters = Object.values(POI_CATEGORIES)
+    .flatMap(({ tags }) => tags)
+    .map(([key, value]) => `nwr["${key}"="${value}"]${around};`)
+    .join("");
+  return `[out:json][timeout:25];(${filters});out center tags;`;
+};
+
+// POIs as { id, category, name?, lng, lat, distanceAlong, offset } sorted by
+// distance along the route; offset is how far off the route (meters) they are
+export const fetchPoisAlongRoute = async (coordinates, buffer) => {
+  if (!coordinates || coordinates.length < 2) return [];
+  const response = await axios.post(
+    OVERPASS_URL,
+    new URLSearchParams({ data: buildOverpassQuery(coordinates, buffer) })
+  );
+  console.log("Overpass Response:", response.data);
+
+  const distances = cumulativeDistances(coordinates);
+  return (response.data?.elements || [])
+    .map((element) => {
+      const lat = element.lat ?? element.center?.lat;
+      const lng = element.lon ?? element.center?.lon;
+      const category = getPoiCategory(element.tags);
+      if (lat === undefined || lng === undefined || !category) return null;
+      const nearestIndex = findNearestCoordinateIndex(coordinates, {
+        lng,
+        lat,
+      });
+      const [nearestLng, nearestLat] = coordinates[nearestIndex];
+      return {
+        id: `${element.type}/${element.id}`,
+        category,
+        name: element.tags?.name || null,
+        lng,
+        lat,
+        distanceAlong: distances[nearestIndex],
+        offset: calculateDistance(lat, lng, nearestLat, nearestLng),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distanceAlong - b.distanceAlong);
+};
@@ -0,0 +1,196 @@
+// src/routeExport.js
+// Serialize a planned route to GPX 1.1, KML and GeoJSON and download it.
+// Coordinates and elevations stay in meters as the formats require; only the
+// human readable description follows the chosen unit system.
+
+import { formatDistance, formatElevation } from "./formatters";
+import { t } from "./i18n";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const hasElevation = (coord) =>
+  coord[2] !== undefined && coord[2] !== null && !Number.isNaN(coord[2]);
+
+// Human readable one-liner used as the track description
+const describeRoute = ({ profile, summary, units }) => {
+  const detail = (labelKey, value) =>
+    t("export.detail", { label: t(labelKey), value });
+  const parts = [detail("export.profile", t(`profile.${profile}`))];
+  if (summary?.distance != null) {
+    parts.push(
+      detail("summary.distance", formatDistance(summary.distance, units))
+    );
+  }
+  if (summary?.ascent != null) {
+    parts.push(
+      detail("summary.ascent", formatElevation(summary.ascent, units))
+    );
+  }
+  if (summary?.descent != null) {
+    parts.push(
+      detail("summary.descent", formatElevation(summary.descent, units))
+    );
+  }
+  return parts.join(", ");
+};
+
+// --- GPX 1.1 ---
+// One track with elevations plus named Start/End waypoints
+export const buildGpx = ({ name, profile, summary, coordinates, units }) => {
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+
+  const point = (tag, coord, extra = "") => {
+    const [lng, lat] = coord;
+    const ele = hasElevation(coord) ? `<ele>${coord[2].toFixed(1)}</ele>` : "";
+    return `<${tag} lat="${lat.toFixed(6)}" lon="${lng.toFixed(
+      6
+    )}">${ele}${extra}</${tag}>`;
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="hiker" xmlns="http://www.topografix.com/GPX/1/1">',
+    "  <metadata>",
+    `    <name>${escapeXml(name)}</name>`,
+    `    <desc>${escapeXml(describeRoute({ profile, summary, units }))}</desc>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    "  </metadata>",
+    `  ${point("wpt", first, `<name>${escapeXml(t("common.start"))}</name>`)}`,
+    `  ${point("wpt", last, `<name>${escapeXml(t("common.end"))}</name>`)}`,
+    "  <trk>",
+    `    <name>${escapeXml(name)}</name>`,
+    `    <desc>${escapeXml(describeRoute({ profile, summary, units }))}</desc>`,
+    `    <type>${escapeXml(profile)}</type>`,
+    "    <trkseg>",
+    ...coordinates.map((coord) => `      ${point("trkpt", coord)}`),
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+};
+
+// --- KML 2.2 ---
+// Route metadata goes into ExtendedData so other apps can read it back
+export const buildKml = ({ name, profile, summary, coordinates, units }) => {
+  const kmlCoord = (coord) =>
+    hasElevation(coord)
+      ? `${coord[0]},${coord[1]},${coord[2]}`
+      : `${coord[0]},${coord[1]}`;
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+
+  const data = {
+    profile,
+    distance_m: summary?.distance,
+    duration_s: summary?.duration,
+    ascent_m: summary?.ascent,
+    descent_m: summary?.descent,
+  };
+  const extendedData = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(
+      ([key, value]) =>
+        `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`
+    );
+
+  const placemark = (label, coord) =>
+    [
+      "    <Placemark>",
+      `      <name>${escapeXml(label)}</name>`,
+      `      <Point><coordinates>${kmlCoord(coord)}</coordinates></Point>`,
+      "    </Placemark>",
+    ].join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    `    <description>${escapeXml(
+      describeRoute({ profile, summary, units })
+    )}</description>`,
+    '    <Style id="route"><LineStyle><color>ffff7a00</color><width>4</width></LineStyle></Style>',
+    placemark(t("common.start"), first),
+    placemark(t("common.end"), last),
+    "    <Placemark>",
+    `      <name>${escapeXml(name)}</name>`,
+    "      <styleUrl>#route</styleUrl>",
+    "      <ExtendedData>",
+    ...extendedData,
+    "      </ExtendedData>",
+    "      <LineString>",
+    "        <tessellate>1</tessellate>",
+    "        <altitudeMode>absolute</altitudeMode>",
+    `        <coordinates>${coordinates.map(kmlCoord).join(" ")}</coordinates>`,
+    "      </LineString>",
+    "    </Placemark>",
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+};
+
+// --- GeoJSON ---
+// The route as returned by the routing service, untouched
+export const buildGeojson = ({ routeGeojson }) =>
+  JSON.stringify(routeGeojson, null, 2);
+
+export const EXPORT_FORMATS = {
+  gpx: {
+    label: "GPX",
+    extension: "gpx",
+    mimeType: "application/gpx+xml",
+    build: buildGpx,
+  },
+  kml: {
+    label: "KML",
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+    build: buildKml,
+  },
+  geojson: {
+    label: "GeoJSON",
+    extension: "geojson",
+    mimeType: "application/geo+json",
+    build: buildGeojson,
+  },
+};
+
+// Trigger a browser download for the given text content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Letters and digits of any script survive; everything else becomes "_"
+const toFileName = (name) =>
+  name.replace(/[^\p{L}\p{N}-]+/gu, "_").replace(/^_+|_+$/g, "");
+
+// Build and download a route in one of the EXPORT_FORMATS. The file is named
+// after the route, or hiker-<profile>-<date> when it has no usable name.
+export const exportRoute = (format, route) => {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+  const defaultName = `hiker-${route.profile}-${new Date()
+    .toISOString()
+    .slice(0, 10)}`;
+  const name = route.name?.trim() || defaultName;
+  const content = exporter.build({ ...route, name });
+  const filename = `${toFileName(name) || defaultName}.${exporter.extension}`;
+  downloadFile(content, filename, exporter.mimeType);
+};
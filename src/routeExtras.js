@@ -0,0 +1,310 @@
+// src/routeExtras.js
+// ORS "extra info" classes (surface, way type, steepness, trail difficulty)
+// with their display names and colors, plus helpers to draw them on the map.
+// The dictionaries map class codes to message keys (see i18n/), translated by
+// the get*Name helpers.
+
+import { t } from "./i18n";
+
+// Surface type dictionary
+export const SURFACE_TYPES = {
+  0: "surface.unknown",
+  1: "surface.paved",
+  2: "surface.unpaved",
+  3: "surface.asphalt",
+  4: "surface.concrete",
+  5: "surface.cobblestone",
+  6: "surface.metal",
+  7: "surface.wood",
+  8: "surface.compactedGravel",
+  9: "surface.fineGravel",
+  10: "surface.gravel",
+  11: "surface.dirt",
+  12: "surface.ground",
+  13: "surface.ice",
+  14: "surface.pavingStones",
+  15: "surface.sand",
+  16: "surface.woodchips",
+  17: "surface.grass",
+  18: "surface.grassPaver",
+};
+
+// Waytype dictionary
+export const WAYTYPE_TYPES = {
+  0: "waytype.unknown",
+  1: "waytype.stateRoad",
+  2: "waytype.road",
+  3: "waytype.street",
+  4: "waytype.path",
+  5: "waytype.track",
+  6: "waytype.cycleway",
+  7: "waytype.footway",
+  8: "waytype.steps",
+  9: "waytype.ferry",
+  10: "waytype.construction",
+};
+
+// --- Color Mapping for Surfaces/Waytypes (Updated with numeric keys) ---
+export const SURFACE_COLORS = {
+  0: "#A9A9A9", // Unknown - gray
+  1: "#708090", // Paved - slate gray
+  2: "#8B4513", // Unpaved - brown
+  3: "#686de0", // Asphalt - blueish (from original)
+  4: "#B0C4DE", // Concrete - light gray blue
+  5: "#a4b0be", // Cobblestone - grey (from original)
+  6: "#C0C0C0", // Metal - silver
+  7: "#a0522d", // Wood - wood (from original)
+  8: "#B8860B", // Compacted Gravel - dark goldenrod
+  9: "#D2B48C", // Fine Gravel - tan
+  10: "#ccae62", // Gravel - gravel (from original)
+  11: "#8c6c3f", // Dirt - brown (from original)
+  12: "#8c6c3f", // Ground - brown (from original)
+  13: "#E0FFFF", // Ice - light cyan
+  14: "#a4b0be", // Paving Stones - grey (from original)
+  15: "#f1d780", // Sand - sand (from original)
+  16: "#D2691E", // Woodchips - chocolate
+  17: "#4caf50", // Grass - green (from original)
+  18: "#9ACD32", // Grass Paver - yellow green
+  default: "#cccccc", // Fallback color
+};
+
+export const WAYTYPE_COLORS = {
+  0: "#A9A9A9", // Unknown - gray
+  1: "#1E90FF", // State Road - dodger blue
+  2: "#4169E1", // Road - royal blue
+  3: "#6495ED", // Street - cornflower blue
+  4: "#FFA500", // Path - orange
+  5: "#DAA520", // Track - goldenrod
+  6: "#32CD32", // Cycleway - lime green
+  7: "#8B4513", // Footway - saddle brown
+  8: "#708090", // Steps - slate gray
+  9: "#00BFFF", // Ferry - deep sky blue
+  10: "#FF6347", // Construction - tomato
+  default: "#cccccc", // Fallback color
+};
+
+// Helper function to get surface type name
+export const getSurfaceType = (value) => {
+  return t(SURFACE_TYPES[value] || SURFACE_TYPES[0]);
+};
+
+// Helper function to get waytype name
+export const getWaytypeName = (value) => {
+  return t(WAYTYPE_TYPES[value] || WAYTYPE_TYPES[0]);
+};
+
+// Steepness classes as returned by ORS extra_info (negative = downhill)
+export const STEEPNESS_TYPES = {
+  "-5": "steepness.down16",
+  "-4": "steepness.down12",
+  "-3": "steepness.down7",
+  "-2": "steepness.down4",
+  "-1": "steepness.down1",
+  0: "steepness.flat",
+  1: "steepness.up1",
+  2: "steepness.up4",
+  3: "steepness.up7",
+  4: "steepness.up12",
+  5: "steepness.up16",
+};
+
+// Greens for descents, yellow to dark red for climbs
+export const STEEPNESS_COLORS = {
+  "-5": "#1b5e20",
+  "-4": "#2e7d32",
+  "-3": "#43a047",
+  "-2": "#66bb6a",
+  "-1": "#a5d6a7",
+  0: "#e0e0e0",
+  1: "#fff176",
+  2: "#ffb74d",
+  3: "#ff7043",
+  4: "#e53935",
+  5: "#8e0000",
+  default: "#cccccc",
+};
+
+// Helper function to get steepness class name
+export const getSteepnessName = (value) =>
+  STEEPNESS_TYPES[value] ? t(STEEPNESS_TYPES[value]) : t("common.unknown");
+
+// Trail difficulty on the SAC hiking scale (foot) or the MTB scale (cycling)
+export const TRAIL_DIFFICULTY = {
+  foot: {
+    0: "difficulty.noTag",
+    1: "difficulty.foot.1",
+    2: "difficulty.foot.2",
+    3: "difficulty.foot.3",
+    4: "difficulty.foot.4",
+    5: "difficulty.foot.5",
+    6: "difficulty.foot.6",
+  },
+  cycling: {
+    0: "difficulty.noTag",
+    1: "difficulty.cycling.1",
+    2: "difficulty.cycling.2",
+    3: "difficulty.cycling.3",
+    4: "difficulty.cycling.4",
+    5: "difficulty.cycling.5",
+    6: "difficulty.cycling.6",
+    7: "difficulty.cycling.7",
+  },
+};
+
+// Easy to extreme, shared by both scales
+export const TRAIL_DIFFICULTY_COLORS = {
+  0: "#A9A9A9", // No tag - gray
+  1: "#8bc34a",
+  2: "#ffeb3b",
+  3: "#ffa726",
+  4: "#f4511e",
+  5: "#c62828",
+  6: "#6a1b9a",
+  7: "#212121",
+  default: "#cccccc",
+};
+
+// Default grade from which hotspots are marked on the map (T4 / S3)
+export const DEFAULT_DIFFICULTY_THRESHOLD = 4;
+
+// Difficulty scale for a profile id, or null when trails are not graded for it
+export const getTrailDifficultyScale = (profile) => {
+  if (profile?.startsWith("foot")) return "foot";
+  if (profile?.startsWith("cycling")) return "cycling";
+  return null;
+};
+
+// Helper function to get trail difficulty description
+export const getTrailDifficultyName = (value, profile) => {
+  const difficultyDict = TRAIL_DIFFICULTY[getTrailDifficultyScale(profile)];
+  return t(difficultyDict?.[value] || "common.unknown");
+};
+
+// Short grade for map labels: "T1"-"T6" on foot, "S0"-"S6" by bike
+export const getTrailDifficultyGrade = (value, profile) => {
+  if (!(value > 0)) return "";
+  return getTrailDifficultyScale(profile) === "foot"
+    ? `T${value}`
+    : `S${value - 1}`;
+};
+
+// Route color modes offered on the map, with the extra they are drawn from
+// (labelKey and the types' values are message keys)
+export const ROUTE_COLOR_MODES = {
+  plain: { labelKey: "colorMode.plain" },
+  steepness: {
+    labelKey: "colorMode.steepness",
+    extra: "steepness",
+    types: STEEPNESS_TYPES,
+    colors: STEEPNESS_COLORS,
+  },
+  surface: {
+    labelKey: "colorMode.surface",
+    extra: "surface",
+    types: SURFACE_TYPES,
+    colors: SURFACE_COLORS,
+  },
+  waytype: {
+    labelKey: "colorMode.waytype",
+    extra: "waytypes",
+    types: WAYTYPE_TYPES,
+    colors: WAYTYPE_COLORS,
+  },
+};
+
+// Coordinate index ranges ([from, to]) where an extra has the given value,
+// e.g. every gravel stretch of the route.
+export const getExtraRanges = (extras, extraKey, value) =>
+  (extras?.[extraKey]?.values || [])
+    .filter(([, , rangeValue]) => String(rangeValue) === String(value))
+    .map(([from, to]) => [from, to]);
+
+// Only the values present on the route, for a compact map legend
+export const getExtraValuesPresent = (extras, extraKey) =>
+  new Set(
+    (extras?.[extraKey]?.values || []).map(([, , value]) => String(value))
+  );
+
+// Split the route into one LineString per extra range ([from, to, value]),
+// each carrying the color the map layer paints it with.
+export const buildExtraSegmentsGeojson = (coordinates, values, colorMap) => ({
+  type: "FeatureCollection",
+  features: (values || [])
+    .filter(([from, to]) => to > from && coordinates[to])
+    .map(([from, to, value]) => ({
+      type: "Feature",
+      properties: {
+        value,
+        color: colorMap[value] || colorMap.default,
+      },
+      geometry: {
+        type: "LineString",
+        coordinates: coordinates
+          .slice(from, to + 1)
+          .map(([lng, lat]) => [lng, lat]),
+      },
+    })),
+});
+
+// Trail difficulty ranges rated `threshold` or harder: a LineString for each
+// plus a Point at its middle for the label. `distances` are the cumulative
+// distances per coordinate, to tell where the hotspot is and how long it lasts.
+export const buildDifficultyHotspotsGeojson = (
+  coordinates,
+  distances,
+  values,
+  threshold,
+  profile
+) => ({
+  type: "FeatureCollection",
+  features: (values || [])
+    .filter(
+      ([from, to, value]) => value >= threshold && to > from && coordinates[to]
+    )
+    .flatMap(([from, to, value]) => {
+      const properties = {
+        value,
+        profile,
+        grade: getTrailDifficultyGrade(value, profile),
+        color:
+          TRAIL_DIFFICULTY_COLORS[value] || TRAIL_DIFFICULTY_COLORS.default,
+        distanceAlong: distances[from],
+        length: distances[to] - distances[from],
+      };
+      const [midLng, midLat] = coordinates[Math.round((from + to) / 2)];
+      return [
+        {
+          type: "Feature",
+          properties,
+          geometry: {
+            type: "LineString",
+            coordinates: coordinates
+              .slice(from, to + 1)
+              .map(([lng, lat]) => [lng, lat]),
+          },
+        },
+        {
+          type: "Feature",
+          properties,
+          geometry: { type: "Point", coordinates: [midLng, midLat] },
+        },
+      ];
+    }),
+});
+
+// One LineString per [from, to] coordinate range, for highlighting stretches
+export const buildRangesGeojson = (coordinates, ranges) => ({
+  type: "FeatureCollection",
+  features: (ranges || [])
+    .filter(([from, to]) => to > from && coordinates[to])
+    .map(([from, to]) => ({
+      type: "Feature",
+      properties: {},
+      geometry: {
+        type: "LineString",
+        coordinates: coordinates
+          .slice(from, to + 1)
+          .map(([lng, lat]) => [lng, lat]),
+      },
+    })),
+});
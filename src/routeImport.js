@@ -0,0 +1,137 @@
+// src/routeImport.js
+// Read GPX, KML and GeoJSON track files into a single [lng, lat, ele?] line.
+
+import { t } from "./i18n";
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const toCoordinate = (lng, lat, ele) =>
+  ele === undefined ? [lng, lat] : [lng, lat, ele];
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error(t("import.invalidXml"));
+  }
+  return doc;
+};
+
+// --- GPX: track points, falling back to route points ---
+const parseGpx = (text) => {
+  const doc = parseXml(text);
+  let points = Array.from(doc.getElementsByTagName("trkpt"));
+  if (points.length === 0) {
+    points = Array.from(doc.getElementsByTagName("rtept"));
+  }
+  const coordinates = points.map((point) => {
+    const ele = point.getElementsByTagName("ele")[0]?.textContent;
+    return toCoordinate(
+      toNumber(point.getAttribute("lon")),
+      toNumber(point.getAttribute("lat")),
+      toNumber(ele)
+    );
+  });
+  const name =
+    doc.querySelector("trk > name")?.textContent ||
+    doc.querySelector("metadata > name")?.textContent;
+  return { name, coordinates };
+};
+
+// --- KML: LineString coordinates or gx:Track coords ---
+const parseKml = (text) => {
+  const doc = parseXml(text);
+  let coordinates = [];
+
+  Array.from(doc.getElementsByTagName("LineString")).forEach((line) => {
+    const raw = line.getElementsByTagName("coordinates")[0]?.textContent || "";
+    raw
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((tuple) => {
+        const [lng, lat, ele] = tuple.split(",").map(toNumber);
+        coordinates.push(toCoordinate(lng, lat, ele));
+      });
+  });
+
+  if (coordinates.length === 0) {
+    coordinates = Array.from(doc.getElementsByTagName("gx:coord")).map(
+      (coord) => {
+        const [lng, lat, ele] = coord.textContent.trim().split(/\s+/);
+        return toCoordinate(toNumber(lng), toNumber(lat), toNumber(ele));
+      }
+    );
+  }
+
+  const name = doc.querySelector(
+    "Document > name, Placemark > name"
+  )?.textContent;
+  return { name, coordinates };
+};
+
+// --- GeoJSON: first LineString / MultiLineString found ---
+const parseGeojson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("import.invalidJson"));
+  }
+  const features =
+    data.type === "FeatureCollection"
+      ? data.features
+      : data.type === "Feature"
+      ? [data]
+      : [{ type: "Feature", properties: {}, geometry: data }];
+
+  for (const feature of features) {
+    const geometry = feature?.geometry;
+    if (geometry?.type === "LineString") {
+      return {
+        name: feature.properties?.name,
+        coordinates: geometry.coordinates,
+      };
+    }
+    if (geometry?.type === "MultiLineString") {
+      return {
+        name: feature.properties?.name,
+        coordinates: geometry.coordinates.flat(),
+      };
+    }
+  }
+  return { coordinates: [] };
+};
+
+const PARSERS = {
+  gpx: parseGpx,
+  kml: parseKml,
+  geojson: parseGeojson,
+  json: parseGeojson,
+};
+
+export const IMPORT_ACCEPT = ".gpx,.kml,.geojson,.json";
+
+// Parse a File from a file input or drop event into { name, coordinates }
+export const parseRouteFile = async (file) => {
+  const extension = file.name.split(".").pop().toLowerCase();
+  const parser = PARSERS[extension];
+  if (!parser) {
+    throw new Error(t("import.unsupportedType", { extension }));
+  }
+  const text = await file.text();
+  const { name, coordinates } = parser(text);
+  const validCoordinates = coordinates.filter(
+    (coord) => Number.isFinite(coord[0]) && Number.isFinite(coord[1])
+  );
+  if (validCoordinates.length < 2) {
+    throw new Error(t("import.noTrack"));
+  }
+  return {
+    name: name?.trim() || file.name.replace(/\.[^.]+$/, ""),
+    coordinates: validCoordinates,
+  };
+};
@@ -0,0 +1,111 @@
+// src/routeLibrary.js
+// Saved routes, persisted in the browser's IndexedDB.
+//
+// A saved route record looks like:
+//   {
+//     id, name, notes, tags: [string],
+//     profile, routingProvider,
+//     waypoints: { start, end, via: [] },  // { lng, lat } points
+//     avoidAreas: [[[lng, lat], ...]],     // polygons the route was kept out of
+//     routeGeojson, summary,               // as shown when it was saved
+//     createdAt, updatedAt,                // ISO strings
+//   }
+
+import { t } from "./i18n";
+
+const DB_NAME = "hiker";
+const DB_VERSION = 1;
+const STORE_NAME = "savedRoutes";
+
+let dbPromise = null;
+
+// Open (and on first use create) the database; the connection is reused
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error(t("library.error.unavailable")));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null; // Allow a retry on the next call
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+// Run a single request against the store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const createId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Split "alps, summit ,  " into ["alps", "summit"]
+export const parseTags = (text) =>
+  text
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+// All saved routes, most recently changed first
+export const listSavedRoutes = async () => {
+  const routes = await withStore("readonly", (store) => store.getAll());
+  return routes.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getSavedRoute = (id) =>
+  withStore("readonly", (store) => store.get(id));
+
+export const saveRoute = async (route) => {
+  const now = new Date().toISOString();
+  const record = { ...route, id: createId(), createdAt: now, updatedAt: now };
+  await withStore("readwrite", (store) => store.add(record));
+  return record;
+};
+
+// Merge changes (e.g. { name }) into an existing record
+export const updateSavedRoute = async (id, changes) => {
+  const existing = await getSavedRoute(id);
+  if (!existing) throw new Error(t("library.error.notFound"));
+  const record = {
+    ...existing,
+    ...changes,
+    id,
+    updatedAt: new Date().toISOString(),
+  };
+  await withStore("readwrite", (store) => store.put(record));
+  return record;
+};
+
+export const duplicateSavedRoute = async (id) => {
+  const existing = await getSavedRoute(id);
+  if (!existing) throw new Error(t("library.error.notFound"));
+  // saveRoute assigns a fresh id and timestamps
+  return saveRoute({
+    ...existing,
+    name: t("library.copyName", { name: existing.name }),
+  });
+};
+
+export const deleteSavedRoute = (id) =>
+  withStore("readwrite", (store) => store.delete(id));
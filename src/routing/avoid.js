@@ -0,0 +1,68 @@
+// src/routing/avoid.js
+// What a route should stay away from: areas drawn on the map, features of the
+// way (ferries, steps, fords, unpaved surfaces) and, by bike, a maximum
+// steepness. The feature toggles are kept per profile; each provider lists the
+// ones it can honor in its `avoid` capabilities and ignores the rest.
+//
+// The request handed to the providers looks like:
+//
+//   {
+//     areas: [[[lng, lat], ...]],   // polygons, ring not closed
+//     features: ["ferries", ...],   // keys of AVOID_FEATURES
+//     maxSteepness: number | null,  // percent, bikes only
+//   }
+
+// Features that can be avoided, with the profiles they make sense for
+export const AVOID_FEATURES = {
+  ferries: {
+    labelKey: "avoid.ferries",
+    profiles: [
+      "driving-car",
+      "cycling-road",
+      "cycling-mountain",
+      "foot-hiking",
+    ],
+  },
+  steps: {
+    labelKey: "avoid.steps",
+    profiles: ["cycling-road", "cycling-mountain", "foot-hiking"],
+  },
+  fords: {
+    labelKey: "avoid.fords",
+    profiles: ["cycling-road", "cycling-mountain", "foot-hiking"],
+  },
+  unpaved: { labelKey: "avoid.unpaved", profiles: ["cycling-road"] },
+};
+
+// Maximum steepness (percent) offered for bike profiles
+export const MAX_STEEPNESS_PROFILES = ["cycling-road", "cycling-mountain"];
+export const MAX_STEEPNESS_CHOICES = [6, 8, 10, 12, 15];
+
+// Options used until the user changes them: hikes never take a ferry
+export const getDefaultAvoidOptions = (profile) => ({
+  features: profile === "foot-hiking" ? ["ferries"] : [],
+  maxSteepness: null,
+});
+
+export const getAvoidFeatures = (profile) =>
+  Object.keys(AVOID_FEATURES).filter((feature) =>
+    AVOID_FEATURES[feature].profiles.includes(profile)
+  );
+
+// The avoid request for a route: the profile's options that apply to it, plus
+// every complete area
+export const buildAvoidRequest = ({ profile, options, areas }) => {
+  const profileFeatures = getAvoidFeatures(profile);
+  return {
+    areas: (areas || []).filter((area) => area.length >= 3),
+    features: (options?.features || []).filter((feature) =>
+      profileFeatures.includes(feature)
+    ),
+    maxSteepness: MAX_STEEPNESS_PROFILES.includes(profile)
+      ? options?.maxSteepness || null
+      : null,
+  };
+};
+
+// GeoJSON wants the first position repeated at the end of a ring
+export const toClosedRing = (area) => [...area, area[0]];
@@ -0,0 +1,246 @@
+// src/routing/graphhopper.js
+// GraphHopper adapter. Elevation comes with the geometry; surface and road
+// class details are mapped onto the ORS codes the summary card understands.
+
+import axios from "axios";
+import { getLanguage, t } from "../i18n";
+import { toClosedRing } from "./avoid";
+import {
+  buildSegmentsFromWayPoints,
+  mapExtraValues,
+  summarizeExtra,
+} from "./normalize";
+
+const GRAPHHOPPER_API_KEY = import.meta.env.VITE_GRAPHHOPPER_API_KEY;
+export const GRAPHHOPPER_BASE_URL =
+  import.meta.env.VITE_GRAPHHOPPER_URL || "https://graphhopper.com/api/1";
+
+// App profiles -> GraphHopper profiles
+const GRAPHHOPPER_PROFILES = {
+  "driving-car": "car",
+  "cycling-road": "racingbike",
+  "cycling-mountain": "mtb",
+  "foot-hiking": "hike",
+};
+
+// GraphHopper surface values -> ORS surface codes (see SURFACE_TYPES)
+const SURFACE_CODES = {
+  paved: 1,
+  unpaved: 2,
+  asphalt: 3,
+  concrete: 4,
+  cobblestone: 5,
+  metal: 6,
+  wood: 7,
+  compacted: 8,
+  fine_gravel: 9,
+  gravel: 10,
+  dirt: 11,
+  ground: 12,
+  ice: 13,
+  paving_stones: 14,
+  sand: 15,
+  woodchips: 16,
+  grass: 17,
+  grass_paver: 18,
+};
+
+// GraphHopper road classes -> ORS waytype codes (see WAYTYPE_TYPES)
+const WAYTYPE_CODES = {
+  motorway: 1,
+  trunk: 1,
+  primary: 1,
+  secondary: 2,
+  tertiary: 2,
+  unclassified: 2,
+  road: 2,
+  residential: 3,
+  service: 3,
+  living_street: 3,
+  path: 4,
+  bridleway: 4,
+  track: 5,
+  cycleway: 6,
+  footway: 7,
+  pedestrian: 7,
+  platform: 7,
+  corridor: 7,
+  steps: 8,
+};
+
+// GraphHopper instruction signs -> normalized maneuver names
+const GRAPHHOPPER_MANEUVERS = {
+  "-98": "u-turn",
+  "-8": "u-turn",
+  "-7": "keep-left",
+  "-3": "sharp-left",
+  "-2": "left",
+  "-1": "slight-left",
+  0: "straight",
+  1: "slight-right",
+  2: "right",
+  3: "sharp-right",
+  4: "arrive",
+  5: "arrive",
+  6: "roundabout-enter",
+  7: "keep-right",
+  8: "u-turn",
+};
+
+// Avoidable features -> GraphHopper custom model conditions
+const AVOID_CONDITIONS = {
+  ferries: "road_environment == FERRY",
+  steps: "road_class == STEPS",
+  fords: "road_environment == FORD",
+  unpaved: [
+    "UNPAVED",
+    "COMPACTED",
+    "FINE_GRAVEL",
+    "GRAVEL",
+    "GROUND",
+    "DIRT",
+    "GRASS",
+    "SAND",
+  ]
+    .map((surface) => `surface == ${surface}`)
+    .join(" || "),
+};
+
+// Avoid request (see avoid.js) -> custom model that gives everything to avoid
+// a priority of 0, or null when there is nothing to avoid
+const buildCustomModel = (avoid) => {
+  const areaIds = (avoid?.areas || []).map((_, index) => `avoid_${index}`);
+  const conditions = [
+    ...areaIds.map((id) => `in_${id}`),
+    ...(avoid?.features || [])
+      .map((feature) => AVOID_CONDITIONS[feature])
+      .filter(Boolean),
+    ...(avoid?.maxSteepness ? [`average_slope > ${avoid.maxSteepness}`] : []),
+  ];
+  if (conditions.length === 0) return null;
+  return {
+    priority: conditions.map((condition) => ({
+      if: condition,
+      multiply_by: "0",
+    })),
+    areas: {
+      type: "FeatureCollection",
+      features: avoid.areas.map((area, index) => ({
+        type: "Feature",
+        id: areaIds[index],
+        properties: {},
+        geometry: { type: "Polygon", coordinates: [toClosedRing(area)] },
+      })),
+    },
+  };
+};
+
+const getConfigError = () =>
+  GRAPHHOPPER_API_KEY || import.meta.env.VITE_GRAPHHOPPER_URL
+    ? null
+    : t("error.graphhopperKeyMissing");
+
+// One GraphHopper path -> normalized route
+const normalizePath = (path) => {
+  const routeCoordinates = path.points.coordinates;
+  const steps = (path.instructions || []).map((instruction, index) => ({
+    instruction: instruction.text,
+    name: instruction.street_name || "",
+    distance: instruction.distance,
+    duration: instruction.time / 1000, // GraphHopper times are in ms
+    maneuver:
+      index === 0
+        ? "depart"
+        : GRAPHHOPPER_MANEUVERS[instruction.sign] || "straight",
+    wayPoints: instruction.interval,
+  }));
+
+  // "Via reached" instructions (sign 5) mark where one leg ends
+  const wayPoints = [
+    0,
+    ...(path.instructions || [])
+      .filter((instruction) => instruction.sign === 5)
+      .map((instruction) => instruction.interval[0]),
+    routeCoordinates.length - 1,
+  ];
+
+  const surfaceValues = mapExtraValues(path.details?.surface, SURFACE_CODES);
+  const waytypeValues = mapExtraValues(path.details?.road_class, WAYTYPE_CODES);
+
+  return {
+    geometry: { type: "LineString", coordinates: routeCoordinates },
+    summary: {
+      distance: path.distance,
+      duration: path.time / 1000,
+      ascent: path.ascend,
+      descent: path.descend,
+    },
+    extras: {
+      surface: {
+        values: surfaceValues,
+        summary: summarizeExtra(surfaceValues, routeCoordinates),
+      },
+      waytypes: {
+        values: waytypeValues,
+        summary: summarizeExtra(waytypeValues, routeCoordinates),
+      },
+    },
+    segments: buildSegmentsFromWayPoints(routeCoordinates, wayPoints, steps),
+    wayPoints,
+    bbox: path.bbox,
+  };
+};
+
+const fetchRoutes = async ({
+  profile,
+  coordinates,
+  alternatives = false,
+  avoid,
+}) => {
+  const requestBody = {
+    points: coordinates,
+    profile: GRAPHHOPPER_PROFILES[profile] || "car",
+    elevation: true,
+    points_encoded: false, // Plain [lng, lat, ele] coordinates
+    instructions: true,
+    locale: getLanguage(), // Turn instructions in the UI language
+    details: ["surface", "road_class"],
+  };
+  const customModel = buildCustomModel(avoid);
+  if (customModel) {
+    requestBody.custom_model = customModel;
+    requestBody["ch.disable"] = true; // Custom models need the flexible mode
+  }
+  // GraphHopper only computes alternatives between two points
+  if (alternatives && coordinates.length === 2) {
+    requestBody.algorithm = "alternative_route";
+    requestBody["alternative_route.max_paths"] = 3;
+  }
+
+  const response = await axios.post(
+    `${GRAPHHOPPER_BASE_URL}/route`,
+    requestBody,
+    { params: GRAPHHOPPER_API_KEY ? { key: GRAPHHOPPER_API_KEY } : {} }
+  );
+  console.log("GraphHopper Response:", response.data);
+
+  const paths = response.data?.paths || [];
+  if (paths.length === 0) {
+    throw new Error(response.data?.message || t("error.noRoute"));
+  }
+  return paths.map(normalizePath);
+};
+
+const graphhopperProvider = {
+  id: "graphhopper",
+  label: "GraphHopper",
+  getConfigError,
+  avoid: {
+    areas: true,
+    features: Object.keys(AVOID_CONDITIONS),
+    maxSteepness: true,
+  },
+  fetchRoutes,
+};
+
+export default graphhopperProvider;
@@ -0,0 +1,120 @@
+// src/routing/index.js
+// Routing provider registry. Every adapter exposes the same interface:
+//
+//   {
+//     id, label,
+//     getConfigError(): string | null,   // e.g. a missing API key
+//     avoid: { areas, features: [...], maxSteepness },  // what it can avoid
+//     fetchRoutes({ profile, coordinates, alternatives, avoid }): Promise<Route[]>,
+//     fetchRoundTrip?({ profile, start, length, seed, avoid }): Promise<Route>,
+//   }
+//
+// and resolves to normalized Routes, whatever the engine. The first route is
+// the recommended one; more follow only when `alternatives` is set and the
+// engine can compute them (all of them require exactly two coordinates).
+//
+//   {
+//     geometry: { type: "LineString", coordinates: [[lng, lat, ele?], ...] },
+//     summary: { distance, duration, ascent, descent },  // m, s, m, m
+//     extras: { surface?, waytypes?, steepness?, traildifficulty? },
+//       // each { values: [[fromIndex, toIndex, code], ...], summary: [...] }
+//       // using the ORS codes from routeExtras.js
+//     segments: [{ distance, duration, ascent, descent, steps }],  // one per leg
+//       // steps: [{ instruction, name, distance, duration, maneuver, wayPoints }]
+//     wayPoints: [coordinate index of each input waypoint],
+//   }
+//
+// `profile` is always one of the app's profile ids (ORS naming); adapters
+// translate it to their own. `avoid` is the request built in avoid.js; adapters
+// apply the parts listed in their `avoid` capabilities and ignore the rest.
+//
+// fetchRoundTrip is optional: a loop from `start` ([lng, lat]) of about
+// `length` meters, where `seed` picks one of the possible loops.
+
+import orsProvider from "./ors";
+import osrmProvider from "./osrm";
+import graphhopperProvider from "./graphhopper";
+import valhallaProvider from "./valhalla";
+import { t } from "../i18n";
+
+export const ROUTING_PROVIDERS = {
+  [orsProvider.id]: orsProvider,
+  [osrmProvider.id]: osrmProvider,
+  [graphhopperProvider.id]: graphhopperProvider,
+  [valhallaProvider.id]: valhallaProvider,
+};
+
+export const DEFAULT_ROUTING_PROVIDER =
+  import.meta.env.VITE_ROUTING_PROVIDER || orsProvider.id;
+
+// Travel modes offered in the planner (labels are "profile.<id>" messages)
+export const PROFILES = [
+  "driving-car",
+  "cycling-road",
+  "cycling-mountain",
+  "foot-hiking",
+];
+
+export const DEFAULT_PROFILE = "driving-car";
+
+export const getRoutingProvider = (id) =>
+  ROUTING_PROVIDERS[id] || ROUTING_PROVIDERS[DEFAULT_ROUTING_PROVIDER];
+
+// GeoJSON for the map's `route` source. way_points keeps the ORS property name
+// so leg lookups work the same for every provider.
+export const toRouteGeojson = (route) => ({
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: {
+        summary: route.summary,
+        extras: route.extras,
+        way_points: route.wayPoints,
+      },
+      geometry: route.geometry,
+    },
+  ],
+});
+
+// Flattened summary consumed by RouteSummaryCard
+export const toRouteSummary = (route) => ({
+  distance: route.summary.distance, // in meters
+  duration: route.summary.duration, // in seconds
+  ascent: route.summary.ascent, // in meters
+  descent: route.summary.descent, // in meters
+  surface: route.extras?.surface?.summary, // Array: [{ value: 3, distance: 123, amount: '20.5'}, ...]
+  waytype: route.extras?.waytypes?.summary,
+  traildifficulty: route.extras?.traildifficulty?.summary,
+  steepness: route.extras?.steepness?.summary,
+  // Per-leg stats (start -> via 1 -> ... -> end)
+  segments: route.segments.map((segment) => ({
+    distance: segment.distance, // in meters
+    duration: segment.duration, // in seconds
+    ascent: segment.ascent, // in meters
+    descent: segment.descent, // in meters
+    steps: segment.steps || [], // Turn-by-turn instructions
+  })),
+  // For the elevation profile: [lng, lat, elevation]
+  coordinates: route.geometry?.coordinates || [],
+});
+
+// Best-effort error text; each engine words its error payload differently.
+// `what` picks the message: "route" or "isochrones".
+export const getRoutingErrorMessage = (err, what = "route") => {
+  let message = t(`error.fetchFailed.${what}`);
+  if (err.response) {
+    const data = err.response.data;
+    const detail =
+      data?.error?.message || // ORS
+      (typeof data?.error === "string" ? data.error : "") || // Valhalla
+      data?.message || // OSRM, GraphHopper
+      "";
+    message += ` ${t("error.status", { status: err.response.status, detail })}`;
+  } else if (err.request) {
+    message += ` ${t("error.noResponse")}`;
+  } else {
+    message += ` ${err.message}`;
+  }
+  return message;
+};
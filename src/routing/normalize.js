@@ -0,0 +1,95 @@
+// src/routing/normalize.js
+// Helpers shared by the routing adapters to build the normalized route model.
+
+import { cumulativeDistances, computeTrackStats } from "../geoUtils";
+
+// Turn ORS-style extra ranges ([fromIndex, toIndex, value]) into the
+// { value, distance, amount } summary the breakdown bars display.
+export const summarizeExtra = (values, coordinates) => {
+  if (!values?.length || coordinates.length < 2) return [];
+  const distances = cumulativeDistances(coordinates);
+  const total = distances[distances.length - 1] || 1;
+  const byValue = new Map();
+  values.forEach(([from, to, value]) => {
+    const length = distances[to] - distances[from];
+    byValue.set(value, (byValue.get(value) || 0) + length);
+  });
+  return Array.from(byValue.entries())
+    .map(([value, distance]) => ({
+      value,
+      distance,
+      amount: ((distance / total) * 100).toFixed(2),
+    }))
+    .sort((a, b) => b.distance - a.distance);
+};
+
+// Map provider detail ranges with string values onto ORS numeric codes
+export const mapExtraValues = (ranges, codeMap) =>
+  (ranges || []).map(([from, to, value]) => [
+    from,
+    to,
+    codeMap[String(value).toLowerCase()] ?? 0,
+  ]);
+
+// Per-leg segments for providers that only return one continuous path.
+// wayPoints holds the coordinate index of every input waypoint.
+export const buildSegmentsFromWayPoints = (coordinates, wayPoints, steps) => {
+  const segments = [];
+  for (let leg = 0; leg < wayPoints.length - 1; leg++) {
+    const from = wayPoints[leg];
+    const to = wayPoints[leg + 1];
+    const legCoordinates = coordinates.slice(from, to + 1);
+    const { distance, ascent, descent } = computeTrackStats(legCoordinates);
+    const legSteps = steps.filter(
+      (step) => step.wayPoints[0] >= from && step.wayPoints[0] < to
+    );
+    segments.push({
+      distance,
+      duration: legSteps.reduce((sum, step) => sum + step.duration, 0),
+      ascent,
+      descent,
+      steps: legSteps,
+    });
+  }
+  return segments;
+};
+
+// Fill in ascent/descent from the geometry when the provider does not report it
+export const withElevationStats = (summary, coordinates) => {
+  if (summary.ascent != null && summary.descent != null) return summary;
+  const { ascent, descent } = computeTrackStats(coordinates);
+  return {
+    ...summary,
+    ascent: summary.ascent ?? ascent,
+    descent: summary.descent ?? descent,
+  };
+};
+
+// Decode an encoded polyline (precision 5 for Google/OSRM, 6 for Valhalla)
+// into [lng, lat] pairs.
+export const decodePolyline = (encoded, precision = 6) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lng / factor, lat / factor]);
+  }
+  return coordinates;
+};
@@ -0,0 +1,207 @@
+// src/routing/ors.js
+// OpenRouteService adapter. ORS already answers in (almost) the normalized
+// shape, so this mostly renames fields.
+
+import axios from "axios";
+import { getLanguage, t } from "../i18n";
+import { toClosedRing } from "./avoid";
+
+// Load ORS API Key from environment
+const ORS_API_KEY = import.meta.env.VITE_ORS_API_KEY;
+// Base URL can point at a self-hosted instance or a local mock server
+export const ORS_BASE_URL =
+  import.meta.env.VITE_ORS_URL || "https://api.openrouteservice.org";
+
+// ORS instruction type codes -> normalized maneuver names
+const ORS_MANEUVERS = {
+  0: "left",
+  1: "right",
+  2: "sharp-left",
+  3: "sharp-right",
+  4: "slight-left",
+  5: "slight-right",
+  6: "straight",
+  7: "roundabout-enter",
+  8: "roundabout-exit",
+  9: "u-turn",
+  10: "arrive",
+  11: "depart",
+  12: "keep-left",
+  13: "keep-right",
+};
+
+const getConfigError = () => (ORS_API_KEY ? null : t("error.orsKeyMissing"));
+
+// POST to any ORS endpoint with the API key attached
+export const orsRequest = (path, body) =>
+  axios.post(`${ORS_BASE_URL}${path}`, body, {
+    headers: {
+      Authorization: ORS_API_KEY,
+      "Content-Type": "application/json",
+    },
+  });
+
+// GET from any ORS endpoint (e.g. geocoding) with the API key attached
+export const orsGet = (path, params) =>
+  axios.get(`${ORS_BASE_URL}${path}`, {
+    params,
+    headers: { Authorization: ORS_API_KEY },
+  });
+
+// Number of alternatives asked for; ORS only computes them between two points
+const ALTERNATIVE_COUNT = 3;
+
+// One ORS GeoJSON feature -> normalized route
+const normalizeFeature = (feature) => {
+  if (!feature.properties) {
+    throw new Error(t("error.noRouteProperties"));
+  }
+  const properties = feature.properties;
+  const summary = properties.summary || {}; // { distance, duration }
+
+  return {
+    geometry: feature.geometry,
+    summary: {
+      distance: summary.distance, // in meters
+      duration: summary.duration, // in seconds
+      ascent: properties.ascent || 0, // in meters
+      descent: properties.descent || 0, // in meters
+    },
+    extras: properties.extras || {}, // { surface: { values, summary }, waytypes: {...}, ... }
+    segments: (properties.segments || []).map((segment) => ({
+      distance: segment.distance,
+      duration: segment.duration,
+      ascent: segment.ascent || 0,
+      descent: segment.descent || 0,
+      steps: (segment.steps || []).map((step) => ({
+        instruction: step.instruction,
+        name: step.name && step.name !== "-" ? step.name : "",
+        distance: step.distance,
+        duration: step.duration,
+        maneuver: ORS_MANEUVERS[step.type] || "straight",
+        wayPoints: step.way_points,
+      })),
+    })),
+    wayPoints: properties.way_points || [],
+    bbox: feature.bbox,
+  };
+};
+
+// Avoid request (see avoid.js) -> ORS directions options. ORS has no way to
+// avoid unpaved roads.
+const ORS_AVOID_FEATURES = ["ferries", "steps", "fords"];
+const buildAvoidOptions = (avoid) => {
+  const options = {};
+  const features = (avoid?.features || []).filter((feature) =>
+    ORS_AVOID_FEATURES.includes(feature)
+  );
+  if (features.length) options.avoid_features = features;
+  if (avoid?.areas?.length) {
+    options.avoid_polygons = {
+      type: "MultiPolygon",
+      coordinates: avoid.areas.map((area) => [toClosedRing(area)]),
+    };
+  }
+  if (avoid?.maxSteepness) {
+    options.profile_params = {
+      restrictions: { gradient: avoid.maxSteepness },
+    };
+  }
+  return options;
+};
+
+// Directions request body shared by normal routes and round trips
+const buildDirectionsBody = (coordinates, avoid) => {
+  const options = buildAvoidOptions(avoid);
+  return {
+    coordinates: coordinates,
+    // Request elevation and extra info
+    elevation: "true", // Request elevation profile data
+    extra_info: ["steepness", "surface", "waytype", "traildifficulty"], // Request details
+    units: "m", // Use metric units (meters)
+    language: getLanguage(), // Turn instructions in the UI language
+    ...(Object.keys(options).length ? { options } : {}),
+    // geometry_simplify: "true", // Optional: simplify geometry for performance
+    // preference: "recommended", // or "shortest" etc. depending on profile
+  };
+};
+
+// POST a directions request and normalize every returned route
+const requestDirections = async (profile, requestBody) => {
+  const response = await orsRequest(
+    `/v2/directions/${profile}/geojson`,
+    requestBody
+  );
+  console.log("ORS Response:", response.data);
+
+  const features = response.data?.features || [];
+  if (features.length === 0) {
+    throw new Error(t("error.noRouteFeatures"));
+  }
+  return features.map(normalizeFeature);
+};
+
+const fetchRoutes = async ({
+  profile,
+  coordinates,
+  alternatives = false,
+  avoid,
+}) => {
+  const requestBody = buildDirectionsBody(coordinates, avoid);
+  if (alternatives && coordinates.length === 2) {
+    requestBody.alternative_routes = {
+      target_count: ALTERNATIVE_COUNT,
+      weight_factor: 1.4, // Up to 40% "costlier" than the best route
+      share_factor: 0.6, // At most 60% shared with the best route
+    };
+  }
+  return requestDirections(profile, requestBody);
+};
+
+// A loop of roughly `length` meters starting and ending at `start`;
+// a different seed gives a different loop for the same inputs
+const fetchRoundTrip = async ({ profile, start, length, seed, avoid }) => {
+  const requestBody = buildDirectionsBody([start], avoid);
+  requestBody.options = {
+    ...requestBody.options,
+    round_trip: { length: Math.round(length), seed },
+  };
+  const [route] = await requestDirections(profile, requestBody);
+  return route;
+};
+
+// Reachability polygons around `location` ([lng, lat]), one per range:
+// seconds for rangeType "time", meters for "distance". ORS-only, there is no
+// common isochrone interface across engines. Resolves to a FeatureCollection
+// whose features carry the range in properties.value.
+export const fetchIsochrones = async ({
+  profile,
+  location,
+  rangeType,
+  ranges,
+}) => {
+  const configError = getConfigError();
+  if (configError) throw new Error(configError);
+  const response = await orsRequest(`/v2/isochrones/${profile}`, {
+    locations: [location],
+    range_type: rangeType,
+    range: ranges,
+    units: "m",
+  });
+  console.log("ORS Isochrones Response:", response.data);
+  if (!response.data?.features?.length) {
+    throw new Error(t("error.noIsochrones"));
+  }
+  return response.data;
+};
+
+const orsProvider = {
+  id: "ors",
+  label: "OpenRouteService",
+  getConfigError,
+  avoid: { areas: true, features: ORS_AVOID_FEATURES, maxSteepness: true },
+  fetchRoutes,
+  fetchRoundTrip,
+};
+
+export default orsProvider;
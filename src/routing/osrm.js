@@ -0,0 +1,160 @@
+// src/routing/osrm.js
+// OSRM adapter. OSRM has no elevation and no surface details, so the route
+// comes back flat and without breakdowns; it cannot avoid anything either.
+
+import axios from "axios";
+import { findNearestCoordinateIndex } from "../geoUtils";
+import { t } from "../i18n";
+
+export const OSRM_BASE_URL =
+  import.meta.env.VITE_OSRM_URL || "https://router.project-osrm.org";
+
+// App profiles -> OSRM profile path segment
+const OSRM_PROFILES = {
+  "driving-car": "driving",
+  "cycling-road": "cycling",
+  "cycling-mountain": "cycling",
+  "foot-hiking": "foot",
+};
+
+// OSRM maneuver type/modifier -> normalized maneuver names
+const getManeuver = ({ type, modifier }) => {
+  if (type === "depart") return "depart";
+  if (type === "arrive") return "arrive";
+  if (type === "roundabout" || type === "rotary") return "roundabout-enter";
+  if (type === "exit roundabout" || type === "exit rotary") {
+    return "roundabout-exit";
+  }
+  if (type === "fork" && modifier?.includes("left")) return "keep-left";
+  if (type === "fork" && modifier?.includes("right")) return "keep-right";
+  switch (modifier) {
+    case "uturn":
+      return "u-turn";
+    case "sharp left":
+      return "sharp-left";
+    case "sharp right":
+      return "sharp-right";
+    case "slight left":
+      return "slight-left";
+    case "slight right":
+      return "slight-right";
+    case "left":
+      return "left";
+    case "right":
+      return "right";
+    default:
+      return "straight";
+  }
+};
+
+// OSRM only returns maneuver data, so build a readable instruction from it
+// (in the UI language)
+const describeStep = (step) => {
+  const { type, modifier } = step.maneuver;
+  if (type === "arrive") return t("instruction.arrive");
+  let instruction;
+  if (type === "depart") {
+    instruction = t("instruction.depart");
+  } else if (type === "roundabout" || type === "rotary") {
+    instruction = t("instruction.roundabout", {
+      exit: step.maneuver.exit || 1,
+    });
+  } else if (modifier === "uturn") {
+    instruction = t("instruction.uturn");
+  } else if (modifier === "straight") {
+    instruction = t("instruction.straight");
+  } else if (modifier) {
+    instruction = t(`instruction.${modifier.replace(" ", "-")}`);
+  } else {
+    instruction = t("instruction.turn");
+  }
+  return step.name
+    ? t("instruction.onto", { instruction, name: step.name })
+    : instruction;
+};
+
+// One OSRM route -> normalized route
+const normalizeRoute = (route) => {
+  const routeCoordinates = route.geometry.coordinates;
+  // OSRM does not index steps into the overview geometry, so locate each
+  // maneuver on it, searching forward so loops do not match an earlier pass
+  let searchFrom = 0;
+  const locate = ([lng, lat]) => {
+    const index =
+      searchFrom +
+      findNearestCoordinateIndex(routeCoordinates.slice(searchFrom), {
+        lng,
+        lat,
+      });
+    searchFrom = index;
+    return index;
+  };
+
+  const wayPoints = [0];
+  const segments = route.legs.map((leg) => {
+    const starts = leg.steps.map((step) => locate(step.maneuver.location));
+    const steps = leg.steps.map((step, i) => ({
+      instruction: describeStep(step),
+      name: step.name || "",
+      distance: step.distance,
+      duration: step.duration,
+      maneuver: getManeuver(step.maneuver),
+      wayPoints: [starts[i], starts[i + 1] ?? starts[i]],
+    }));
+    wayPoints.push(starts[starts.length - 1]);
+    return {
+      distance: leg.distance,
+      duration: leg.duration,
+      ascent: null,
+      descent: null,
+      steps,
+    };
+  });
+
+  return {
+    geometry: { type: "LineString", coordinates: routeCoordinates },
+    summary: {
+      distance: route.distance,
+      duration: route.duration,
+      ascent: null, // OSRM has no elevation data
+      descent: null,
+    },
+    extras: {},
+    segments,
+    wayPoints,
+  };
+};
+
+const fetchRoutes = async ({ profile, coordinates, alternatives = false }) => {
+  const osrmProfile = OSRM_PROFILES[profile] || "driving";
+  const path = coordinates.map(([lng, lat]) => `${lng},${lat}`).join(";");
+  const response = await axios.get(
+    `${OSRM_BASE_URL}/route/v1/${osrmProfile}/${path}`,
+    {
+      params: {
+        overview: "full",
+        geometries: "geojson",
+        steps: true,
+        // OSRM only computes alternatives between two points
+        alternatives: alternatives && coordinates.length === 2,
+      },
+    }
+  );
+  console.log("OSRM Response:", response.data);
+
+  const routes = response.data?.routes || [];
+  if (routes.length === 0) {
+    throw new Error(response.data?.message || t("error.noRoute"));
+  }
+  return routes.map(normalizeRoute);
+};
+
+const osrmProvider = {
+  id: "osrm",
+  label: "OSRM",
+  getConfigError: () => null,
+  avoid: { areas: false, features: [], maxSteepness: false },
+  fetchRoutes,
+};
+
+export default osrmProvider;
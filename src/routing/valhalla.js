@@ -0,0 +1,206 @@
+// src/routing/valhalla.js
+// Valhalla adapter. Shapes come polyline6-encoded per leg; elevation is
+// sampled along the shape at a fixed interval and mapped back onto it.
+
+import axios from "axios";
+import { getLanguage, t } from "../i18n";
+import { cumulativeDistances } from "../geoUtils";
+import { toClosedRing } from "./avoid";
+import { decodePolyline, withElevationStats } from "./normalize";
+
+export const VALHALLA_BASE_URL =
+  import.meta.env.VITE_VALHALLA_URL || "https://valhalla1.openstreetmap.de";
+
+// Spacing (meters) of the elevation samples requested from Valhalla
+const ELEVATION_INTERVAL = 30;
+
+// UI languages -> Valhalla narrative languages
+const VALHALLA_LANGUAGES = {
+  en: "en-US",
+  it: "it-IT",
+  de: "de-DE",
+  fr: "fr-FR",
+};
+
+// App profiles -> Valhalla costing models and options
+const VALHALLA_COSTING = {
+  "driving-car": { costing: "auto" },
+  "cycling-road": {
+    costing: "bicycle",
+    costing_options: { bicycle: { bicycle_type: "Road" } },
+  },
+  "cycling-mountain": {
+    costing: "bicycle",
+    costing_options: { bicycle: { bicycle_type: "Mountain" } },
+  },
+  "foot-hiking": {
+    costing: "pedestrian",
+    costing_options: { pedestrian: { max_hiking_difficulty: 6 } },
+  },
+};
+
+// Avoidable features -> costing options, for the costing models that have them.
+// Valhalla cannot avoid fords or cap the steepness.
+const AVOID_COSTING_OPTIONS = {
+  ferries: {
+    auto: { use_ferry: 0 },
+    bicycle: { use_ferry: 0 },
+    pedestrian: { use_ferry: 0 },
+  },
+  unpaved: { bicycle: { avoid_bad_surfaces: 1 } },
+  steps: { pedestrian: { step_penalty: 3600 } }, // A penalty, not a ban
+};
+
+// Profile costing with the avoid request (see avoid.js) applied
+const buildCosting = (profile, avoid) => {
+  const { costing, costing_options: costingOptions = {} } =
+    VALHALLA_COSTING[profile] || VALHALLA_COSTING["driving-car"];
+  const options = { ...costingOptions[costing] };
+  (avoid?.features || []).forEach((feature) => {
+    Object.assign(options, AVOID_COSTING_OPTIONS[feature]?.[costing]);
+  });
+  return { costing, costing_options: { [costing]: options } };
+};
+
+// Valhalla maneuver types -> normalized maneuver names
+const VALHALLA_MANEUVERS = {
+  1: "depart",
+  2: "depart",
+  3: "depart",
+  4: "arrive",
+  5: "arrive",
+  6: "arrive",
+  9: "slight-right",
+  10: "right",
+  11: "sharp-right",
+  12: "u-turn",
+  13: "u-turn",
+  14: "sharp-left",
+  15: "left",
+  16: "slight-left",
+  23: "keep-right",
+  24: "keep-left",
+  26: "roundabout-enter",
+  27: "roundabout-exit",
+};
+
+// Attach the nearest elevation sample to every shape point
+const applyElevation = (coordinates, elevation) => {
+  if (!elevation?.length) return coordinates;
+  const distances = cumulativeDistances(coordinates);
+  return coordinates.map(([lng, lat], i) => {
+    const sample = Math.min(
+      Math.round(distances[i] / ELEVATION_INTERVAL),
+      elevation.length - 1
+    );
+    return [lng, lat, elevation[sample]];
+  });
+};
+
+// One Valhalla trip -> normalized route
+const normalizeTrip = (trip) => {
+  // Stitch the legs into one line, dropping each leg's duplicated first point
+  const routeCoordinates = [];
+  const wayPoints = [0];
+  const segments = trip.legs.map((leg, legIndex) => {
+    const legCoordinates = applyElevation(
+      decodePolyline(leg.shape, 6),
+      leg.elevation
+    );
+    const offset = routeCoordinates.length - (legIndex > 0 ? 1 : 0);
+    routeCoordinates.push(
+      ...(legIndex > 0 ? legCoordinates.slice(1) : legCoordinates)
+    );
+    wayPoints.push(routeCoordinates.length - 1);
+
+    const segment = withElevationStats(
+      {
+        distance: leg.summary.length * 1000, // Valhalla lengths are in km
+        duration: leg.summary.time,
+        ascent: null,
+        descent: null,
+      },
+      legCoordinates
+    );
+    return {
+      ...segment,
+      steps: (leg.maneuvers || []).map((maneuver) => ({
+        instruction: maneuver.instruction,
+        name: maneuver.street_names?.join(", ") || "",
+        distance: maneuver.length * 1000,
+        duration: maneuver.time,
+        maneuver: VALHALLA_MANEUVERS[maneuver.type] || "straight",
+        wayPoints: [
+          offset + maneuver.begin_shape_index,
+          offset + maneuver.end_shape_index,
+        ],
+      })),
+    };
+  });
+
+  return {
+    geometry: { type: "LineString", coordinates: routeCoordinates },
+    summary: withElevationStats(
+      {
+        distance: trip.summary.length * 1000,
+        duration: trip.summary.time,
+        ascent: null,
+        descent: null,
+      },
+      routeCoordinates
+    ),
+    extras: {},
+    segments,
+    wayPoints,
+  };
+};
+
+const fetchRoutes = async ({
+  profile,
+  coordinates,
+  alternatives = false,
+  avoid,
+}) => {
+  const requestBody = {
+    locations: coordinates.map(([lng, lat]) => ({ lon: lng, lat })),
+    ...buildCosting(profile, avoid),
+    directions_options: {
+      units: "kilometers",
+      language: VALHALLA_LANGUAGES[getLanguage()] || "en-US",
+    },
+    elevation_interval: ELEVATION_INTERVAL,
+  };
+  if (avoid?.areas?.length) {
+    requestBody.exclude_polygons = avoid.areas.map(toClosedRing);
+  }
+  // Valhalla only computes alternates between two locations
+  if (alternatives && coordinates.length === 2) {
+    requestBody.alternates = 2;
+  }
+
+  const response = await axios.post(`${VALHALLA_BASE_URL}/route`, requestBody);
+  console.log("Valhalla Response:", response.data);
+
+  const trips = [
+    response.data?.trip,
+    ...(response.data?.alternates || []).map((alternate) => alternate.trip),
+  ].filter((trip) => trip?.legs?.length);
+  if (trips.length === 0) {
+    throw new Error(t("error.noRoute"));
+  }
+  return trips.map(normalizeTrip);
+};
+
+const valhallaProvider = {
+  id: "valhalla",
+  label: "Valhalla",
+  getConfigError: () => null,
+  avoid: {
+    areas: true,
+    features: Object.keys(AVOID_COSTING_OPTIONS),
+    maxSteepness: false,
+  },
+  fetchRoutes,
+};
+
+export default valhallaProvider;
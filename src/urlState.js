@@ -0,0 +1,124 @@
+// src/urlState.js
+// Planning state <-> URL query string, so a route can be shared as a link.
+//
+//   ?p=foot-hiking            profile
+//   &s=45.46123,9.19000       start  (lat,lng)
+//   &v=45.5,9.2;45.6,9.3      via points, in order
+//   &e=45.70000,9.40000       end
+//   &x=45.1,9.1;45.2,9.1;45.2,9.2|...   avoid areas, corners in order
+//   &l=12000m/3  or  &l=2.5h/3           loop: target length or duration, seed
+//   &map=11.50/45.46/9.19     zoom/lat/lng of the map view
+
+import { PROFILES, DEFAULT_PROFILE } from "./routing";
+
+const COORD_DECIMALS = 5; // ~1 m, plenty for a waypoint
+
+const encodePoint = (point) =>
+  `${point.lat.toFixed(COORD_DECIMALS)},${point.lng.toFixed(COORD_DECIMALS)}`;
+
+const decodePoint = (text) => {
+  if (!text) return null;
+  const [lat, lng] = text.split(",").map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lng, lat };
+};
+
+// Avoid areas are stored as [lng, lat] rings, like GeoJSON
+const encodeArea = (area) =>
+  area.map(([lng, lat]) => encodePoint({ lng, lat })).join(";");
+
+const decodeArea = (text) => {
+  const points = text.split(";").map(decodePoint).filter(Boolean);
+  return points.length >= 3 ? points.map(({ lng, lat }) => [lng, lat]) : null;
+};
+
+// Loops: { targetType: "distance" | "duration", target: meters | hours, seed }
+const encodeLoop = (loop) =>
+  `${loop.target}${loop.targetType === "duration" ? "h" : "m"}/${loop.seed}`;
+
+const decodeLoop = (text) => {
+  const match = /^(\d+(?:\.\d+)?)(m|h)\/(\d+)$/.exec(text || "");
+  if (!match) return null;
+  const target = Number(match[1]);
+  const seed = Number(match[3]);
+  if (target <= 0 || seed < 1) return null;
+  return {
+    targetType: match[2] === "h" ? "duration" : "distance",
+    target,
+    seed,
+  };
+};
+
+const encodeView = (view) =>
+  `${view.zoom.toFixed(2)}/${view.lat.toFixed(
+    COORD_DECIMALS
+  )}/${view.lng.toFixed(COORD_DECIMALS)}`;
+
+const decodeView = (text) => {
+  if (!text) return null;
+  const [zoom, lat, lng] = text.split("/").map(Number);
+  if (![zoom, lat, lng].every(Number.isFinite)) return null;
+  return { zoom, lat, lng };
+};
+
+// Build the query string (including the leading "?", or "" when empty)
+export const encodePlanningState = ({
+  start,
+  end,
+  via,
+  profile,
+  avoidAreas,
+  loop,
+  view,
+}) => {
+  const params = new URLSearchParams();
+  if (profile) params.set("p", profile);
+  if (start) params.set("s", encodePoint(start));
+  if (via?.length) params.set("v", via.map(encodePoint).join(";"));
+  if (end) params.set("e", encodePoint(end));
+  if (avoidAreas?.length) params.set("x", avoidAreas.map(encodeArea).join("|"));
+  if (loop) params.set("l", encodeLoop(loop));
+  if (view) params.set("map", encodeView(view));
+  const query = params.toString();
+  // Keep the separators readable in shared links
+  return query
+    ? `?${query
+        .replace(/%2C/g, ",")
+        .replace(/%3B/g, ";")
+        .replace(/%2F/g, "/")
+        .replace(/%7C/g, "|")}`
+    : "";
+};
+
+// Parse a query string; missing or malformed parts come back as null / [],
+// except the profile, which falls back to the default
+export const decodePlanningState = (search) => {
+  const params = new URLSearchParams(search);
+  const profile = params.get("p");
+  return {
+    profile: PROFILES.includes(profile) ? profile : DEFAULT_PROFILE,
+    start: decodePoint(params.get("s")),
+    end: decodePoint(params.get("e")),
+    via: (params.get("v") || "").split(";").map(decodePoint).filter(Boolean),
+    avoidAreas: (params.get("x") || "")
+      .split("|")
+      .map(decodeArea)
+      .filter(Boolean),
+    loop: decodeLoop(params.get("l")),
+    view: decodeView(params.get("map")),
+  };
+};
+
+// Write the state into the address bar: push for planning changes so the
+// back/forward buttons step through them, replace for plain map moves.
+export const writePlanningStateToUrl = (state, { replace = false } = {}) => {
+  const url = `${window.location.pathname}${encodePlanningState(state)}${
+    window.location.hash
+  }`;
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+};
@@ -0,0 +1,114 @@
+// src/weather.js
+// Hourly forecasts for a handful of points along the route, picked at the
+// time the walker is expected to get there. Talks to Open-Meteo by default;
+// any endpoint with the same API (e.g. a self-hosted instance) works.
+
+import axios from "axios";
+import { cumulativeDistances } from "./geoUtils";
+
+export const WEATHER_URL =
+  import.meta.env.VITE_WEATHER_URL || "https://api.open-meteo.com/v1/forecast";
+
+// Points along the route to forecast for (start and end included)
+const WEATHER_SAMPLE_COUNT = 8;
+
+const HOURLY_VARIABLES = [
+  "temperature_2m",
+  "precipitation",
+  "precipitation_probability",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "freezing_level_height",
+  "weather_code",
+];
+
+// Warning thresholds
+const RAIN_THRESHOLD = 1; // mm per hour
+const RAIN_PROBABILITY_THRESHOLD = 60; // %
+const GUST_THRESHOLD = 50; // km/h
+const THUNDERSTORM_CODES = [95, 96, 99]; // WMO weather codes
+
+// Evenly spaced points by distance: [{ index, distance }]
+export const pickWeatherSamples = (coordinates) => {
+  if (!coordinates || coordinates.length < 2) return [];
+  const distances = cumulativeDistances(coordinates);
+  const total = distances[distances.length - 1];
+  const samples = [];
+  let index = 0;
+  for (let i = 0; i < WEATHER_SAMPLE_COUNT; i++) {
+    const target = (total * i) / (WEATHER_SAMPLE_COUNT - 1);
+    while (index < distances.length - 1 && distances[index] < target) index++;
+    if (samples[samples.length - 1]?.index !== index) {
+      samples.push({ index, distance: distances[index] });
+    }
+  }
+  return samples;
+};
+
+// One hourly forecast series per sample, in the same order
+export const fetchWeatherForecasts = async (coordinates, samples) => {
+  const response = await axios.get(WEATHER_URL, {
+    params: {
+      latitude: samples.map(({ index }) => coordinates[index][1]).join(","),
+      longitude: samples.map(({ index }) => coordinates[index][0]).join(","),
+      hourly: HOURLY_VARIABLES.join(","),
+      timeformat: "unixtime",
+      forecast_days: 16,
+      wind_speed_unit: "kmh",
+    },
+  });
+  console.log("Weather Response:", response.data);
+  // A single location comes back as an object, several as an array
+  const forecasts = Array.isArray(response.data)
+    ? response.data
+    : [response.data];
+  return forecasts.map((forecast) => forecast.hourly);
+};
+
+// Forecast values for the hour closest to `time` (unix seconds), or null
+// when the time is outside the forecast range
+export const getWeatherAt = (hourly, time) => {
+  const times = hourly?.time || [];
+  if (!times.length || time < times[0] - 1800) return null;
+  if (time > times[times.length - 1] + 1800) return null;
+  let hour = 0;
+  while (hour < times.length - 1 && times[hour + 1] <= time + 1800) hour++;
+  return {
+    temperature: hourly.temperature_2m?.[hour], // °C
+    precipitation: hourly.precipitation?.[hour], // mm
+    precipitationProbability: hourly.precipitation_probability?.[hour], // %
+    windSpeed: hourly.wind_speed_10m?.[hour], // km/h
+    windGusts: hourly.wind_gusts_10m?.[hour], // km/h
+    freezingLevel: hourly.freezing_level_height?.[hour], // m
+    weatherCode: hourly.weather_code?.[hour],
+  };
+};
+
+// Warnings for samples of { distance, eta, elevation, weather }:
+// [{ type, sample }] with type one of thunderstorm, rain, wind, freezing
+export const getWeatherWarnings = (samples) => {
+  const warnings = [];
+  samples.forEach((sample) => {
+    const { weather } = sample;
+    if (!weather) return;
+    if (THUNDERSTORM_CODES.includes(weather.weatherCode)) {
+      warnings.push({ type: "thunderstorm", sample });
+    } else if (
+      weather.precipitation >= RAIN_THRESHOLD ||
+      weather.precipitationProbability >= RAIN_PROBABILITY_THRESHOLD
+    ) {
+      warnings.push({ type: "rain", sample });
+    }
+    if (weather.windGusts >= GUST_THRESHOLD) {
+      warnings.push({ type: "wind", sample });
+    }
+    if (
+      weather.freezingLevel !== undefined &&
+      weather.freezingLevel !== null &&
+      sample.elevation >= weather.freezingLevel
+    ) {
+      warnings.push({ type: "freezing", sample });
+    }
+  });
+  return warnings;
+};